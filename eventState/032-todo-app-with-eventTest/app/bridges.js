@@ -25,11 +25,11 @@ store.subscribe('intent.selection.toggle', (payload) => {
 });
 
 // Derived: selection count
-store.subscribe('ui.selection.ids', () => {
-  const ids = store.get('ui.selection.ids') || [];
-  const next = Array.isArray(ids) ? ids.length : 0;
-  if (store.get('ui.selection.count') !== next) store.set('ui.selection.count', next);
-});
+store.select(
+  (get) => { const ids = get('ui.selection.ids'); return Array.isArray(ids) ? ids.length : 0; },
+  (count) => store.set('ui.selection.count', count),
+  { immediate: true }
+);
 
 // ------------------------------
 // Quotes: async fetch with last-request-wins
@@ -60,54 +60,50 @@ store.subscribe('intent.quotes.load', ({ url, ttlMs }) => {
 });
 
 // Derived: quotes empty
-const updateQuotesEmpty = () => {
-  const d = store.get('ui.quotes?.data') ?? store.get('ui.quotes.data');
-  const empty = Array.isArray(d) ? d.length === 0 : (d == null);
-  if (store.get('ui.quotes.empty') !== empty) store.set('ui.quotes.empty', empty);
-};
-store.subscribe('ui.quotes.data', updateQuotesEmpty);
-store.subscribe('ui.quotes.error', updateQuotesEmpty);
+store.select(
+  (get) => { const d = get('ui.quotes.data'); return Array.isArray(d) ? d.length === 0 : (d == null); },
+  (empty) => store.set('ui.quotes.empty', empty),
+  { immediate: true }
+);
 
 // ------------------------------
 // Items: derived helpers for repeaters
 // ------------------------------
-const updateItemsMeta = () => {
-  const items = store.get('ui.items');
-  const count = Array.isArray(items) ? items.length : 0;
-  if (store.get('ui.itemsCount') !== count) store.set('ui.itemsCount', count);
-  const empty = count === 0;
-  if (store.get('ui.empty') !== empty) store.set('ui.empty', empty);
-};
-store.subscribe('ui.items', updateItemsMeta);
-try { updateItemsMeta(); } catch {}
+store.select(
+  (get) => { const items = get('ui.items'); return Array.isArray(items) ? items.length : 0; },
+  (count) => store.setMany({ 'ui.itemsCount': count, 'ui.empty': count === 0 }),
+  { immediate: true }
+);
 
 // ------------------------------
 // Todos: imperative renderer-friendly bridges
 // ------------------------------
+// Intents may name the list (`listPath`) or ui state (`uiPath`) they target;
+// both default to the app's own todo list
 // Add todo
-store.subscribe('intent.todo.add', ({ text }) => {
-  const items = store.get('domain.todos.items') || [];
+store.subscribe('intent.todo.add', ({ text, listPath = 'domain.todos' }) => {
+  const items = store.get(`${listPath}.items`) || [];
   const nextId = items.reduce((m, t) => Math.max(m, Number(t?.id || 0)), 0) + 1;
   const todo = { id: nextId, text: String(text || '').trim(), done: false };
   if (!todo.text) return;
-  store.set('domain.todos.items', [...items, todo]);
+  store.set(`${listPath}.items`, [...items, todo]);
 });
 
 // Toggle todo
-store.subscribe('intent.todo.toggle', ({ id }) => {
-  const items = store.get('domain.todos.items') || [];
+store.subscribe('intent.todo.toggle', ({ id, listPath = 'domain.todos' }) => {
+  const items = store.get(`${listPath}.items`) || [];
   const out = items.map(t => (String(t?.id) === String(id)) ? { ...t, done: !t.done } : t);
-  store.set('domain.todos.items', out);
+  store.set(`${listPath}.items`, out);
 });
 
 // Clear completed
-store.subscribe('intent.todo.clearCompleted', () => {
-  const items = store.get('domain.todos.items') || [];
-  store.set('domain.todos.items', items.filter(t => !t.done));
+store.subscribe('intent.todo.clearCompleted', ({ listPath = 'domain.todos' } = {}) => {
+  const items = store.get(`${listPath}.items`) || [];
+  store.set(`${listPath}.items`, items.filter(t => !t.done));
 });
 
 // UI filter
-store.subscribe('intent.ui.filter', ({ filter }) => {
+store.subscribe('intent.ui.filter', ({ filter, uiPath = 'ui.todos' }) => {
   const f = (filter === 'active' || filter === 'completed') ? filter : 'all';
-  store.set('ui.todos.filter', f);
+  store.set(`${uiPath}.filter`, f);
 });
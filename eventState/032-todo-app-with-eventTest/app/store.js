@@ -1,5 +1,6 @@
 // store.js — singleton eventState store for the SPA
 import { createEventState } from '../runtime/core/eventStateNew.js';
+import { useSchema, shape, arrayOf } from '../runtime/extensions/schema.js';
 
 const initial = {
   ui: {
@@ -11,5 +12,11 @@ const initial = {
   },
 };
 
-const store = createEventState(initial);
+// Listener errors are logged and also kept under ui.debug.errors for the state tracker
+const store = createEventState(initial, { errorPath: 'ui.debug.errors' });
+
+// Same shapes as store.d.ts; bad writes are logged, not blocked
+useSchema(store, 'domain.todos.items', arrayOf(shape({ id: 'number', text: 'string', done: 'boolean' })), { mode: 'warn' });
+useSchema(store, 'ui.todos.filter', { enum: ['all', 'active', 'completed'] }, { mode: 'warn' });
+
 export default store;
@@ -1,5 +1,7 @@
 // views/todoDemo.js — Minimal Todo app demo (imperative renderer, no bootstrap)
-export async function boot({ store, el, signal }){
+// Reads its list and filter through scopes and names them in every intent, so
+// it can drive a list mounted elsewhere via `listPath` / `uiPath`.
+export async function boot({ store, el, signal, listPath = 'domain.todos', uiPath = 'ui.todos' }){
   const main = document.createElement('main');
   main.innerHTML = `
     <h1>Todo app demo</h1>
@@ -31,20 +33,20 @@ export async function boot({ store, el, signal }){
   // Intents from UI
   btnAdd?.addEventListener('click', () => {
     const text = (input?.value || '').trim();
-    if (!text) return; store.set('intent.todo.add', { text }); input.value = '';
+    if (!text) return; store.set('intent.todo.add', { text, listPath }); input.value = '';
   });
   input?.addEventListener('keydown', (e) => { if (e.key === 'Enter') btnAdd?.click(); });
-  btnAll?.addEventListener('click', () => store.set('intent.ui.filter', { filter: 'all' }));
-  btnAct?.addEventListener('click', () => store.set('intent.ui.filter', { filter: 'active' }));
-  btnDone?.addEventListener('click', () => store.set('intent.ui.filter', { filter: 'completed' }));
-  btnClear?.addEventListener('click', () => store.set('intent.todo.clearCompleted'));
+  btnAll?.addEventListener('click', () => store.set('intent.ui.filter', { filter: 'all', uiPath }));
+  btnAct?.addEventListener('click', () => store.set('intent.ui.filter', { filter: 'active', uiPath }));
+  btnDone?.addEventListener('click', () => store.set('intent.ui.filter', { filter: 'completed', uiPath }));
+  btnClear?.addEventListener('click', () => store.set('intent.todo.clearCompleted', { listPath }));
 
   // Render
-  const itemsPath = 'domain.todos.items';
-  const filterPath = 'ui.todos.filter';
+  const list = store.scope(listPath);
+  const ui = store.scope(uiPath);
   function render(){
-    const items = store.get(itemsPath) || [];
-    const filter = store.get(filterPath) || 'all';
+    const items = list.get('items') || [];
+    const filter = ui.get('filter') || 'all';
     const badge = main.querySelector('#filterBadge');
     if (badge) badge.textContent = `filter: ${filter}`;
     ul.replaceChildren();
@@ -55,15 +57,17 @@ export async function boot({ store, el, signal }){
       const li = document.createElement('li');
       li.style.display = 'flex'; li.style.gap = '8px'; li.style.alignItems = 'center';
       const cb = document.createElement('input'); cb.type = 'checkbox'; cb.checked = !!t.done;
-      cb.addEventListener('change', () => store.set('intent.todo.toggle', { id: t.id }));
+      cb.addEventListener('change', () => store.set('intent.todo.toggle', { id: t.id, listPath }));
       const span = document.createElement('span'); span.textContent = t.text; if (t.done) span.style.textDecoration = 'line-through';
       li.appendChild(cb); li.appendChild(span); ul.appendChild(li);
     });
   }
-  const off1 = store.subscribe(itemsPath, render);
-  const off2 = store.subscribe(filterPath, render);
+  // Coalesce bursts (e.g. bulk toggles) into one repaint per frame
+  list.subscribe('items', render, { schedule: 'frame' });
+  ui.subscribe('filter', render, { schedule: 'frame' });
   render();
 
-  if (signal) signal.addEventListener('abort', () => { try { off1 && off1(); off2 && off2(); } catch {} });
-  return () => { try { off1 && off1(); off2 && off2(); } catch {} };
+  const dispose = () => { try { list.dispose(); ui.dispose(); } catch {} };
+  if (signal) signal.addEventListener('abort', dispose);
+  return dispose;
 }
@@ -69,12 +69,18 @@
     title = 'ST',
     store = undefined,
     pathPrefix = 'ui.stateTracker',
+    stringify = undefined,
   } = {}){
     if (!appendTo) appendTo = document.body;
     // Allow global opt-in binding without importing store here (keeps OCP)
     if (!store && typeof window !== 'undefined' && window.stateTrackerStore){
       store = window.stateTrackerStore;
     }
+    // Same opt-in for the serializer registry (Dates, Maps, Sets in state)
+    if (!stringify && typeof window !== 'undefined' && window.stateTrackerStringify){
+      stringify = window.stateTrackerStringify;
+    }
+    if (!stringify) stringify = (value, space) => JSON.stringify(value, null, space);
 
     // Inject style once
     let styleEl = document.getElementById('stt-style');
@@ -148,7 +154,7 @@
       if (!store) return;
       try {
         const obj = store.get();
-        pre.textContent = JSON.stringify(obj, null, 2);
+        pre.textContent = stringify(obj, 2);
       } catch (e) {
         pre.textContent = '[stateTracker] Unable to render state: ' + (e && e.message ? e.message : e);
       }
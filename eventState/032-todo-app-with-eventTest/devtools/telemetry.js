@@ -2,6 +2,7 @@
 // Safe to include in production: it will bail out immediately when not in DEV.
 
 import store from '../app/store.js';
+import { stringify } from '../runtime/core/serialize.js';
 
 // if (import.meta && import.meta.env && import.meta.env.DEV) {
   const MAX = 500;
@@ -31,7 +32,7 @@ import store from '../app/store.js';
     clear: () => { buf.length = 0; },
     copy: async () => {
       try {
-        const text = JSON.stringify(buf, null, 2);
+        const text = stringify(buf, 2);
         await navigator.clipboard.writeText(text);
         orig.info('[telemetry] Copied console buffer to clipboard (', buf.length, 'entries )');
       } catch (e) {
@@ -1,9 +1,33 @@
 // behaviors.runtime.js — minimal parser + dispatcher for data-on/data-bind
 // Install with: installBehaviors(store, { registry, root, writablePrefixes })
 
+import { matchPattern } from './paths.js';
+
+// HTML boolean attributes: present means true, so false removes them
+const BOOLEAN_ATTRS = new Set([
+  'disabled', 'hidden', 'checked', 'readonly', 'required', 'selected', 'open', 'multiple',
+  'autofocus', 'autoplay', 'controls', 'loop', 'muted', 'novalidate', 'inert', 'default',
+]);
+
 export function installBehaviors(store, { registry = {}, root = document, writablePrefixes = ['ui.'], writableWhitelist = [], debug = false, onStep = null } = {}){
   const subsByPath = new Map();
   const repeaters = [];
+  // writable guards: prefixes AND optional whitelist patterns
+  const isWritable = (path) => {
+    const okPrefix = writablePrefixes.some(pref => path === pref.slice(0, -1) || path.startsWith(pref));
+    const okWhitelist = !writableWhitelist.length || writableWhitelist.some(pat => matchPattern(pat, path));
+    return okPrefix && okWhitelist;
+  };
+  // Stores with a middleware pipeline enforce the guard on every write tagged
+  // source 'behaviors'; plain stores fall back to the check inside ctx.set
+  let vetoed = false;
+  const offGuard = typeof store.use === 'function'
+    ? store.use((write) => {
+        if (write.source !== 'behaviors' || isWritable(write.path)) return;
+        vetoed = true;
+        return false;
+      })
+    : null;
   const trackOff = (el, off) => { const arr = subsByPath.get(el) || []; arr.push(off); subsByPath.set(el, arr); };
   const unbindNode = (node) => {
     // Unsubscribe any subs registered for this node and its descendants
@@ -16,18 +40,22 @@ export function installBehaviors(store, { registry = {}, root = document, writab
   };
 
   const bindEl = (el) => {
-    // data-bind: "text: ui.counter; value: ui.name"
+    // data-bind: "text: ui.counter; value: ui.name; disabled: !ui.history.canUndo"
+    // '!' negates the value; boolean attributes (disabled, hidden, ...) are added or
+    // removed, any other attribute gets the text (aria-pressed="false")
     const bindAttr = el.getAttribute?.('data-bind');
     if (bindAttr){
       for (const part of bindAttr.split(';')){
         const seg = part.trim(); if (!seg) continue;
         const [propRaw, pathRaw] = seg.split(':');
         const prop = (propRaw||'').trim();
-        const path = (pathRaw||'').trim();
+        const negate = (pathRaw||'').trim().startsWith('!');
+        const path = (pathRaw||'').trim().replace(/^!\s*/, '');
         const render = () => {
-          const v = store.get(path);
+          const v = negate ? !store.get(path) : store.get(path);
           if (prop === 'text') el.textContent = v ?? '';
           else if (prop === 'value') el.value = v ?? '';
+          else if (BOOLEAN_ATTRS.has(prop.toLowerCase())) { if (v) el.setAttribute(prop, ''); else el.removeAttribute(prop); }
           else el.setAttribute(prop, v ?? '');
         };
         render();
@@ -60,16 +88,17 @@ export function installBehaviors(store, { registry = {}, root = document, writab
               event,
               get: (p) => store.get(p),
               set: (p, v) => {
-                // writable guards: prefixes AND optional whitelist patterns
                 const path = String(p);
-                const okPrefix = writablePrefixes.some(pref => path === pref.slice(0, -1) || path.startsWith(pref));
-                const okWhitelist = !writableWhitelist.length || writableWhitelist.some(pat => matchPattern(pat, path));
-                if (!(okPrefix && okWhitelist)) {
+                vetoed = false;
+                if (offGuard) store.set(p, v, { source: 'behaviors' });
+                else if (!isWritable(path)) vetoed = true;
+                if (vetoed) {
+                  vetoed = false;
                   if (debug) console.warn('[behaviors] blocked write', { path, reason: 'guard' });
                   try { onStep && onStep({ el, event, name, args, phase: 'blocked', blocked: true, write: path, reason: 'guard' }); } catch{}
                   return;
                 }
-                store.set(p, v);
+                if (!offGuard) store.set(p, v);
                 // annotate successful write
                 try { onStep && onStep({ el, event, name, args, phase: 'applied', blocked: false, write: path }); } catch{}
               },
@@ -215,6 +244,7 @@ export function installBehaviors(store, { registry = {}, root = document, writab
 
   return () => {
     mo.disconnect();
+    if (offGuard) offGuard();
     subsByPath.forEach(offs => offs.forEach(off => { try { off(); } catch{} }));
     subsByPath.clear();
   };
@@ -237,23 +267,6 @@ function coerceArg(x){
   return x; // pass path strings etc.
 }
 
-function matchPattern(pattern, path){
-  // Very small wildcard: '*' matches a single segment, '**' matches the rest
-  if (pattern === path) return true;
-  const pSegs = String(pattern).split('.');
-  const sSegs = String(path).split('.');
-  let i = 0, j = 0;
-  while (i < pSegs.length && j < sSegs.length){
-    const part = pSegs[i];
-    if (part === '**'){ return true; }
-    if (part === '*' || part === sSegs[j]){ i++; j++; continue; }
-    return false;
-  }
-  // Allow trailing '**'
-  while (i < pSegs.length && pSegs[i] === '**') i++;
-  return i === pSegs.length && j === sSegs.length;
-}
-
 // Dev-only explicit export to support unit tests in 010-005
 export { matchPattern };
 
@@ -0,0 +1,68 @@
+// equality.js — comparators for selector and derived-value change detection
+// Named comparators: 'is' (Object.is, default), 'shallow', 'deep'.
+
+export const is = Object.is;
+
+/** Same keys with Object.is-equal values (arrays compared element-wise) */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const ka = Object.keys(a);
+  const kb = Object.keys(b);
+  if (ka.length !== kb.length) return false;
+  return ka.every(k => Object.prototype.hasOwnProperty.call(b, k) && Object.is(a[k], b[k]));
+}
+
+/**
+ * Structural equality for plain objects and arrays, plus Dates (by time),
+ * Maps and Sets (by entries; Map keys and Set members by identity), typed
+ * arrays (element by element) and RegExps (source and flags).
+ */
+export function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+  if (a instanceof Date) return Object.is(a.getTime(), b.getTime());
+  if (a instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false;
+    for (const [k, v] of a) {
+      if (!b.has(k) || !deepEqual(v, b.get(k))) return false;
+    }
+    return true;
+  }
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false;
+    for (const v of a) if (!b.has(v)) return false;
+    return true;
+  }
+  if (ArrayBuffer.isView(a)) {
+    if (a instanceof DataView) {
+      a = new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+      b = new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+    }
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) if (!Object.is(a[i], b[i])) return false;
+    return true;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const ka = Object.keys(a);
+  const kb = Object.keys(b);
+  if (ka.length !== kb.length) return false;
+  return ka.every(k => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+}
+
+const named = { is, shallow: shallowEqual, deep: deepEqual };
+
+/**
+ * Resolve an `equals` option to a comparator function.
+ * @param {'is'|'shallow'|'deep'|((a:any, b:any)=>boolean)} [equals]
+ * @returns {(a:any, b:any)=>boolean}
+ */
+export function resolveEquals(equals = 'is') {
+  if (typeof equals === 'function') return equals;
+  const fn = named[equals];
+  if (!fn) throw new TypeError(`Unknown equals comparator "${equals}"`);
+  return fn;
+}
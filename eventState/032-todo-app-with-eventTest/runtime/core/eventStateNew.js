@@ -5,11 +5,32 @@
  * Optimized for selective notifications and granular updates.
  *
  * Features:
- * - Path-based get/set operations (e.g., 'user.profile.name')
+ * - Path-based get/set operations (e.g., 'user.profile.name', 'items[3].done', 'config["api.url"]')
  * - Selective subscriptions (only relevant subscribers fire)
  * - Wildcard subscriptions (e.g., 'user.*' catches all user changes)
+ * - Pattern subscriptions ('items.*.done' one segment, 'ui.**.error' any depth)
  * - Global subscriptions (e.g., '*' catches all changes)
+ * - Scoped views (scope(prefix) — the same API relative to a path)
+ * - Mounted child stores (mount/unmount — reads and writes delegated, events bubble)
+ * - One-shot and async consumption (once, waitFor, watch as an AsyncIterable)
+ * - Lazy resources that run only while the path has subscribers (resource)
  * - Atomic batching (batch/setMany — subscribers fire after all writes)
+ * - Notification scheduling per store or subscription (sync, microtask, frame)
+ * - Key removal (delete, or the DELETE sentinel in set/setMany)
+ * - JSON Patch (RFC 6902) change stream (onPatch) and atomic applyPatch
+ * - Selector subscriptions with auto-tracked dependencies and custom equality
+ * - Derived (virtual, read-only) paths with auto-tracked dependencies
+ * - Transactions (all-or-nothing writes, sync or async, with rollback)
+ * - Async values (setAsync: status/data/error with retry, timeout, dedupe and
+ *   stale-while-revalidate caching)
+ * - Write middleware (store.use) to transform, veto or observe writes
+ * - Plugins with lifecycle hooks and their own store methods (plugins option, install)
+ * - Listener error isolation (onError hook, optional error log under a path)
+ * - Re-entrant update loop detection (UpdateLoopError naming the cycle)
+ * - Opt-in descendant notifications and deep (subtree) subscriptions
+ * - Non-JSON values (Date, Map, Set, typed arrays, undefined); Map entries are
+ *   addressable by key in paths
+ * - Opt-in immutable mode (copy-on-write writes, frozen reads, versioned snapshots)
  * - Zero dependencies
  * - ~2KB minified
  *
@@ -37,168 +58,1354 @@
  *   console.log(`User field ${path} changed to:`, value);
  * });
  *
+ * // Pattern subscription ('*' mid-path is one segment, '**' is any depth)
+ * store.subscribe('domain.todos.items.*.done', ({ path, value }) => {
+ *   console.log(`${path} is now`, value);
+ * });
+ *
  * // Global subscription
  * store.subscribe('*', ({ path, value }) => {
  *   console.log(`State changed at ${path}:`, value);
  * });
  *
+ * // Promise and async-iterator views of a path
+ * await store.waitFor('cart.status', 'success', { timeout: 5000 });
+ * for await (const items of store.watch('domain.todos.items')) {
+ *   if (!items.length) break; // break unsubscribes
+ * }
+ *
+ * // Scoped view: relative paths, one dispose() for everything it subscribed
+ * const todos = store.scope('domain.todos');
+ * todos.set('filter', 'active');                    // domain.todos.filter
+ * todos.subscribe('items.*.done', ({ path }) => {}); // path is relative ('items.0.done')
+ * todos.dispose();
+ *
+ * // Mount a feature store: parent.get/set under 'cart' go to the child and its
+ * // changes reach the parent's 'cart.*' and '*' subscribers as 'cart.…' paths
+ * store.mount('cart', cartStore);
+ * store.unmount('cart');
+ *
+ * // Poll only while something watches the quotes (1s grace after the last leaves)
+ * store.resource('ui.quotes.data', ({ set, signal }) => {
+ *   const tick = () => fetch('/api/quotes', { signal }).then(r => r.json()).then(set, () => {});
+ *   tick();
+ *   const id = setInterval(tick, 5000);
+ *   return () => clearInterval(id);
+ * }, { linger: 1000 });
+ *
  * // Batch multiple writes (subscribers fire once per path, after batch)
  * store.batch(() => {
  *   store.set('user.name', 'Charlie');
  *   store.set('user.email', 'charlie@example.com');
  * });
  *
+ * // Selector: re-runs only when a path it read changes, fires only on a new result
+ * store.select(
+ *   (get) => (get('domain.todos.items') || []).filter(t => !t.done).length,
+ *   (remaining) => console.log('remaining', remaining)
+ * );
+ *
+ * // Derived path: readable and subscribable like state, never stored
+ * store.derive('ui.todos.visible', (get) => {
+ *   const items = get('domain.todos.items') || [];
+ *   return get('ui.todos.filter') === 'active' ? items.filter(t => !t.done) : items;
+ * });
+ * store.subscribe('ui.todos.visible', (visible) => render(visible));
+ *
+ * // Transaction: nothing lands if the body throws or its promise rejects
+ * await store.transaction(async (tx) => {
+ *   tx.set('cart.status', 'saving');
+ *   const saved = await api.save(tx.get('cart.items'));
+ *   tx.set('cart.savedAt', saved.at);
+ * });
+ *
+ * // Async value: users.status goes loading → success → stale; a repeat call
+ * // within cacheTime shows 'refreshing' while users.data keeps the old list
+ * await store.setAsync('users', (signal) => fetch('/api/users', { signal }).then(r => r.json()), {
+ *   key: '/api/users', retry: 2, timeout: 5000, staleTime: 30000, cacheTime: 300000,
+ * });
+ *
+ * // Middleware sees every write before it lands; return false to veto
+ * store.use((write) => {
+ *   if (write.path === 'user.name') write.value = String(write.value).trim();
+ *   if (write.path.startsWith('secret.')) return false;
+ * });
+ *
+ * // Plugins hook into the lifecycle and can add methods
+ * const counter = () => {
+ *   let writes = 0;
+ *   return { name: 'counter', afterSet() { writes++; }, methods: { writeCount: () => writes } };
+ * };
+ * const tracked = createEventState({}, { plugins: [counter()] });
+ * tracked.writeCount();
+ *
  * // Or use setMany for the same effect
  * store.setMany({ 'user.name': 'Charlie', 'user.email': 'charlie@example.com' });
  *
+ * // Remove a key (subscribers get { deleted: true, oldValue })
+ * store.delete('user.email');
+ * store.setMany({ 'user.name': 'Dana', 'user.nickname': DELETE });
+ *
+ * // JSON Patch: one call per committed write or batch, and the way back in
+ * store.onPatch((ops) => socket.send(JSON.stringify(ops)));
+ * store.applyPatch([{ op: 'replace', path: '/user/name', value: 'Eve' }]);
+ *
+ * // Coalesce a burst of writes into one render per animation frame
+ * store.subscribe('domain.todos.items', (items, { changes }) => {
+ *   render(items); // changes: every intermediate detail since the last frame
+ * }, { schedule: 'frame' });
+ *
+ * // Deep subscription: fires for writes at, above or below 'domain.todos'
+ * store.subscribe('domain.todos', (todos, detail) => {
+ *   console.log(`todos changed via ${detail.path}`);
+ * }, { deep: true });
+ *
+ * // Immutable mode: writes copy the path, unchanged subtrees keep their identity
+ * const frozen = createEventState({ a: { b: 1 }, c: { d: 2 } }, { immutable: true });
+ * const before = frozen.getSnapshot();
+ * frozen.set('a.b', 2);
+ * frozen.getSnapshot().state.c === before.state.c; // true
+ *
  * // Cleanup
  * unsub();
  * store.destroy();
  */
 
-export function createEventState(initial = {}) {
-  const state = JSON.parse(JSON.stringify(initial));
-  const listeners = new Map();
+import { isIndex, isPattern, normalizePath, parsePath, formatPath, startsWith } from './paths.js';
+import { createListenerTrie } from './listenerTrie.js';
+import { resolveEquals } from './equality.js';
+import { applyOps, toPointer } from './jsonPatch.js';
+import { cloneValue } from './serialize.js';
+
+/**
+ * Sentinel value: writing it removes the key instead of storing a value.
+ * Works with set(), setMany(), transactions and middleware (`write.value`).
+ */
+export const DELETE = Symbol('eventState.delete');
+
+// Typed arrays cannot be frozen; Map values are frozen, the Map itself stays mutable
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value) && !ArrayBuffer.isView(value)) {
+    Object.freeze(value);
+    if (value instanceof Map) value.forEach(deepFreeze);
+    else for (const k of Object.keys(value)) deepFreeze(value[k]);
+  }
+  return value;
+}
+
+// Map entries are addressed by (string) key like object properties: 'users.byId.u1'
+function child(node, key) {
+  return node instanceof Map ? node.get(key) : node[key];
+}
+
+function assign(node, key, value) {
+  if (node instanceof Map) node.set(key, value);
+  else node[key] = value;
+}
+
+function hasKey(container, key) {
+  if (container instanceof Map) return container.has(key);
+  return container != null && typeof container === 'object' && Object.prototype.hasOwnProperty.call(container, key);
+}
+
+function readPath(obj, parts) {
+  let cur = obj;
+  for (const p of parts) {
+    if (cur == null) return undefined;
+    cur = child(cur, p);
+  }
+  return cur;
+}
+
+function assertSchedule(schedule) {
+  if (schedule !== 'sync' && schedule !== 'microtask' && schedule !== 'frame') {
+    throw new TypeError(`Unknown schedule "${schedule}" (expected sync, microtask or frame)`);
+  }
+}
+
+function logListenerError(err, { path, listenerPath }) {
+  console.error(`[eventState] listener for "${listenerPath}" threw on write to "${path}":`, err);
+}
+
+// Pattern segments as subscribed: the '**' compilePattern adds is dropped
+function patternLabel(segs) {
+  const n = segs.length;
+  return formatPath(n > 1 && segs[n - 2] === '*' && segs[n - 1] === '**' ? segs.slice(0, -1) : segs);
+}
+
+function abortError(message) {
+  const err = new Error(message);
+  err.name = 'AbortError';
+  return err;
+}
+
+function timeoutError(message) {
+  const err = new Error(message);
+  err.name = 'TimeoutError';
+  return err;
+}
+
+// Settles with `promise`, or rejects as soon as `signal` aborts, so a fetcher
+// that ignores its signal cannot land a superseded or timed-out result
+function untilAborted(promise, signal, reason) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(reason());
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => { clearTimeout(timer); reject(abortError('Request cancelled')); };
+    const timer = setTimeout(() => { signal.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// One setAsync request: each attempt gets its own signal (aborted by the
+// request's controller or by `timeout`); failures other than cancellation are
+// retried `retry` times, waiting retryDelay(attempt, err) ms, or
+// retryDelay * 2^(attempt-1) ms when it is a number
+async function fetchWithRetry(fetcher, signal, { retry, retryDelay, timeout }) {
+  for (let attempt = 1; ; attempt++) {
+    const attemptController = new AbortController();
+    let timedOut = false;
+    const onAbort = () => attemptController.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    const timer = timeout != null
+      ? setTimeout(() => { timedOut = true; attemptController.abort(); }, timeout)
+      : null;
+    let failure;
+    try {
+      if (signal.aborted) throw abortError('Request cancelled');
+      return await untilAborted(fetcher(attemptController.signal), attemptController.signal, () => (timedOut
+        ? timeoutError(`Request timed out after ${timeout}ms`)
+        : abortError('Request cancelled')));
+    } catch (err) {
+      // An AbortError the timeout caused is a timeout, whoever threw it
+      failure = timedOut && err?.name === 'AbortError' ? timeoutError(`Request timed out after ${timeout}ms`) : err;
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', onAbort);
+    }
+    if (signal.aborted || failure?.name === 'AbortError' || attempt > retry) throw failure;
+    await sleep(typeof retryDelay === 'function' ? retryDelay(attempt, failure) : retryDelay * 2 ** (attempt - 1), signal);
+  }
+}
+
+// requestAnimationFrame where there is one (browsers), a ~60fps timer elsewhere
+function requestFrame(cb) {
+  if (typeof requestAnimationFrame === 'function') requestAnimationFrame(cb);
+  else setTimeout(cb, 16);
+}
+
+// Literal segments of 'a.b.*' (anything below a.b), or null for other patterns.
+// These skip pattern matching: the ancestor walk finds them directly.
+function trailingPrefix(path) {
+  const segs = parsePath(path);
+  if (segs.length < 2 || segs[segs.length - 1] !== '*') return null;
+  segs.pop();
+  return isPattern(formatPath(segs)) ? null : segs;
+}
+
+// A trailing '*' keeps its legacy "any depth below" meaning inside patterns
+function compilePattern(path) {
+  const segs = parsePath(path);
+  if (segs[segs.length - 1] === '*') segs.push('**');
+  return segs;
+}
+
+function removeKey(container, key) {
+  if (Array.isArray(container) && isIndex(key)) container.splice(Number(key), 1);
+  else if (container instanceof Map) container.delete(key);
+  else delete container[key];
+}
+
+// Pending writes of a batch or transaction, in order. A repeated write to a
+// path replaces its earlier entry (one notification per path), except across
+// an index delete: that splices the array, so what comes after it is kept as
+// a new entry and replays in the same order as the unbuffered writes would.
+function createWriteBuffer() {
+  const ops = [];
+  const latest = new Map();
+  let barrier = -1;
+  return {
+    has: (path) => latest.has(path),
+    get: (path) => ops[latest.get(path)]?.[1],
+    set(path, value) {
+      const i = latest.get(path);
+      if (i !== undefined && i > barrier) {
+        ops[i][1] = value;
+      } else {
+        ops.push([path, value]);
+        latest.set(path, ops.length - 1);
+      }
+      if (value === DELETE && isIndex(parsePath(path).pop())) barrier = latest.get(path);
+    },
+    clear() {
+      ops.length = 0;
+      latest.clear();
+      barrier = -1;
+    },
+    get size() { return ops.length; },
+    [Symbol.iterator]: () => ops.map(op => [op[0], op[1]])[Symbol.iterator](),
+  };
+}
+
+function shallowCopy(node, nextSeg) {
+  if (Array.isArray(node)) return node.slice();
+  if (node instanceof Map) return new Map(node);
+  if (node && typeof node === 'object') return { ...node };
+  return createContainer(nextSeg);
+}
+
+// Missing parents become arrays when they are addressed by an index
+function createContainer(nextSeg) {
+  return isIndex(nextSeg) ? [] : {};
+}
+
+/**
+ * A view of `store` rooted at `prefix`: paths passed in are relative to it,
+ * detail paths handed out are relative to it, '*' means "anything below the
+ * prefix". Writes at or above the prefix (seen by deep subscribers) keep
+ * their absolute path. dispose() removes every subscription the scope made.
+ * @param {Object} store - A store (or another scope's underlying store)
+ * @param {string} prefix
+ */
+function createScope(store, prefix) {
+  const base = parsePath(normalizePath(prefix));
+  const subscriptions = new Set();
+  const abs = (path) => {
+    if (path == null || path === '') return formatPath(base);
+    return formatPath(base.concat(parsePath(path)));
+  };
+  const rel = (path) => {
+    const segs = parsePath(path);
+    const inside = segs.length > base.length && startsWith(segs, base);
+    return inside ? formatPath(segs.slice(base.length)) : path;
+  };
+  const relDetail = (detail) => {
+    const out = { ...detail, path: rel(detail.path) };
+    if (detail.writePath) out.writePath = rel(detail.writePath);
+    if (detail.changes) out.changes = detail.changes.map(relDetail);
+    return out;
+  };
+
+  const scope = {
+    prefix: formatPath(base),
+    get: (path) => store.get(abs(path)),
+    set: (path, value, opts) => store.set(abs(path), value, opts),
+    delete: (path, opts) => store.delete(abs(path), opts),
+    batch: (fn) => store.batch(fn),
+    /** Keys are relative paths; see store.setMany */
+    setMany(entries) {
+      if (!entries) return;
+      const pairs = Array.isArray(entries) ? entries
+        : entries instanceof Map ? Array.from(entries.entries())
+          : Object.entries(entries);
+      store.setMany(pairs.map(([p, v]) => [abs(p), v]));
+    },
+    /**
+     * Subscribe relative to the prefix ('*' = any change below it). Details
+     * carry relative paths; exact handlers still get (value, detail).
+     */
+    subscribe(path, handler, opts) {
+      if (!path || typeof handler !== 'function') {
+        throw new TypeError('subscribe requires path and handler');
+      }
+      const target = path === '*' ? `${abs()}.*` : abs(path);
+      const valueFirst = path !== '*' && !isPattern(path);
+      const off = store.subscribe(target, valueFirst
+        ? (value, detail) => handler(value, relDetail(detail))
+        : (detail) => handler(relDetail(detail)), opts);
+      const unsubscribe = () => {
+        subscriptions.delete(unsubscribe);
+        off();
+      };
+      subscriptions.add(unsubscribe);
+      return unsubscribe;
+    },
+    /** Nested scope; disposed along with this one */
+    scope(path) {
+      const child = createScope(store, abs(path));
+      const dispose = child.dispose;
+      child.dispose = () => {
+        subscriptions.delete(child.dispose);
+        dispose();
+      };
+      subscriptions.add(child.dispose);
+      return child;
+    },
+    /** Remove every subscription made through this scope (and nested scopes) */
+    dispose() {
+      Array.from(subscriptions).forEach(off => off());
+      subscriptions.clear();
+    },
+  };
+  return scope;
+}
+
+/**
+ * @param {Object} [initial] - Initial state (deep-copied with cloneValue; class instances keep their prototype)
+ * @param {Object} [options]
+ * @param {boolean} [options.immutable=false] - Copy-on-write along the written path;
+ *   get() returns frozen objects so subtrees can be compared by reference
+ * @param {boolean} [options.notifyDescendants=false] - Writing an object also
+ *   notifies exact subscribers below it whose value actually changed
+ * @param {'sync'|'microtask'|'frame'} [options.schedule='sync'] - Default
+ *   delivery for subscribe(); see the subscribe() `schedule` option
+ * @param {(err: any, info: { path: string, listenerPath: string }) => void} [options.onError]
+ *   Called when a listener throws; the remaining listeners still run. `path`
+ *   is the written path, `listenerPath` what the listener subscribed to.
+ *   Defaults to console.error; rethrow here to make listener errors fatal
+ * @param {string} [options.errorPath] - Also append `{ name, message, path,
+ *   listenerPath, at }` to the array at this path (e.g. 'ui.debug.errors')
+ * @param {number} [options.errorLimit=50] - Entries kept at errorPath
+ * @param {number} [options.maxDispatchDepth=100] - Nested writes (a listener
+ *   writing, whose listener writes, ...) allowed before an UpdateLoopError
+ * @param {number} [options.maxReentry=10] - Times one path may be written
+ *   again while its own notification is still running
+ * @param {Array<Object>} [options.plugins] - Installed in order; see install()
+ */
+export function createEventState(initial = {}, options = {}) {
+  const {
+    immutable = false,
+    notifyDescendants = false,
+    schedule = 'sync',
+    onError = logListenerError,
+    errorPath = null,
+    errorLimit = 50,
+    maxDispatchDepth = 100,
+    maxReentry = 10,
+    plugins: initialPlugins = [],
+  } = options;
+  assertSchedule(schedule);
+  let state = cloneValue(initial);
+  if (immutable) deepFreeze(state);
+  // Exact, deep and pattern listeners live in a segment trie; '*' is kept apart
+  const listeners = createListenerTrie();
+  const globalListeners = new Set();
   const asyncOps = new Map();
+  // Last setAsync result per path: { key, data, at, timer, evictTimer }
+  const asyncCache = new Map();
   let destroyed = false;
 
+  // Bumped on every committed write; snapshots are cached per version
+  let version = 0;
+  let snapshot = null;
+
+  // Write middleware, run in registration order by set()
+  const middlewares = [];
+
   // Batching: buffer writes and flush once at the end
   let batching = false;
-  const batchBuffer = new Map();
+  const batchBuffer = createWriteBuffer();
+
+  // Transactions whose body is running synchronously; set() stages into the top one
+  const txStack = [];
+
+  // Derived paths: path -> entry; `computing` is the evaluation stack for cycle reports
+  const derived = new Map();
+  const computing = [];
+
+  // JSON Patch listeners; `patchOps` collects one batch's ops while it flushes
+  const patchListeners = new Set();
+  let patchOps = null;
+
+  // Deferred subscriptions with pending changes, flushed once per tick/frame
+  const pending = { microtask: new Set(), frame: new Set() };
+  const flushQueued = { microtask: false, frame: false };
+
+  // Set while a listener error is being written to errorPath
+  let recordingError = false;
+
+  // Paths whose notification is running, outermost first, and how often each appears
+  const dispatching = [];
+  const reentries = new Map();
+
+  // Pending waitFor()/watch() consumers, settled by destroy()
+  const teardowns = new Set();
+
+  // Child stores mounted into this one: path -> { path, segs, child, off }
+  const mounts = new Map();
+
+  // Lazy resources: path -> { path, segs, start, linger, controller, cleanup, timer }
+  const resources = new Map();
+
+  // Installed plugins in order, as { name, plugin }; hooks run through runHook()
+  const plugins = [];
+
+  // Immutable mode: copy every node along the path, leave siblings shared
+  function writeImmutable(parts, key, value, freeze = true) {
+    if (value === DELETE) {
+      // Nothing to copy when the key is already absent
+      if (!hasKey(readPath(state, parts), key)) return undefined;
+    }
+    const root = shallowCopy(state);
+    let cur = root;
+    const copies = [root];
+    parts.forEach((p, i) => {
+      assign(cur, p, shallowCopy(child(cur, p), parts[i + 1] ?? key));
+      cur = child(cur, p);
+      copies.push(cur);
+    });
+    const oldValue = child(cur, key);
+    if (value === DELETE) removeKey(cur, key);
+    else assign(cur, key, freeze ? deepFreeze(value) : value);
+    copies.forEach(Object.freeze);
+    state = root;
+    return oldValue;
+  }
 
   function writeAndNotify(path, value) {
-    const parts = path.split(".");
-    const key = parts.pop();
-    let cur = state;
+    const segs = parsePath(path);
+    const parts = segs.slice(0, -1);
+    const key = segs[segs.length - 1];
+    const deleting = value === DELETE;
+    let oldValue;
 
-    for (const p of parts) {
-      if (!cur[p]) cur[p] = {};
-      cur = cur[p];
+    // Mounted stores apply their own writes; the change comes back through the bridge
+    const mounted = mounts.size ? mountOwner(segs) : null;
+    if (mounted) {
+      const store = mounted.mount.child;
+      const childPath = formatPath(mounted.rest);
+      if (!deleting) store.set(childPath, value);
+      else if (typeof store.delete === 'function') store.delete(childPath);
+      else store.set(childPath, undefined);
+      return deleting ? undefined : value;
     }
 
-    const oldValue = cur[key];
-    cur[key] = value;
+    if (deleting && !hasKey(readPath(state, parts), key)) return undefined;
+    if (dispatching.length) checkLoop(path);
+    const plan = patchListeners.size ? planPatch(segs, deleting) : null;
+
+    if (immutable) {
+      oldValue = writeImmutable(parts, key, value);
+    } else {
+      let cur = state;
+      parts.forEach((p, i) => {
+        if (!child(cur, p)) assign(cur, p, createContainer(parts[i + 1] ?? key));
+        cur = child(cur, p);
+      });
+      oldValue = child(cur, key);
+      if (deleting) removeKey(cur, key);
+      else assign(cur, key, value);
+    }
+    version++;
 
     if (!destroyed) {
-      const detail = { path, value, oldValue };
+      const detail = deleting ? { path, value: undefined, oldValue, deleted: true } : { path, value, oldValue };
+      withPatch(plan && patchOp(plan, segs), () => dispatch(path, segs, detail));
+    }
+
+    return deleting ? undefined : value;
+  }
+
+  // notify() with the bookkeeping checkLoop relies on
+  function dispatch(path, segs, detail) {
+    dispatching.push(path);
+    reentries.set(path, (reentries.get(path) || 0) + 1);
+    try {
+      notify(path, segs, detail);
+      if (plugins.length) runHook('afterSet', path, detail);
+    } finally {
+      dispatching.pop();
+      const n = (reentries.get(path) || 1) - 1;
+      if (n) reentries.set(path, n);
+      else reentries.delete(path);
+    }
+  }
+
+  // Mount whose path is the given path or one of its ancestors
+  function mountOwner(segs) {
+    for (let i = segs.length; i > 0; i--) {
+      const mount = mounts.get(formatPath(segs.slice(0, i)));
+      if (mount) return { mount, rest: segs.slice(i) };
+    }
+    return null;
+  }
 
-      const exactListeners = listeners.get(path);
-      if (exactListeners) {
-        exactListeners.forEach(cb => cb(value, detail));
+  // Point the parent state at the child's current root (no notification)
+  function attach(mount, root) {
+    const parts = mount.segs.slice(0, -1);
+    const key = mount.segs[mount.segs.length - 1];
+    if (immutable) {
+      // New identities along the path on every child change, but the child
+      // owns its state: never freeze it from here
+      writeImmutable(parts, key, root, false);
+      return;
+    }
+    if (readPath(state, mount.segs) === root) return;
+    let cur = state;
+    parts.forEach((p, i) => {
+      if (!child(cur, p)) assign(cur, p, createContainer(parts[i + 1] ?? key));
+      cur = child(cur, p);
+    });
+    assign(cur, key, root);
+  }
+
+  // Child change -> parent state reference, version and listeners
+  function bridge(mount, detail) {
+    if (destroyed || mounts.get(mount.path) !== mount) return;
+    const segs = mount.segs.concat(parsePath(detail.path));
+    const path = formatPath(segs);
+    if (dispatching.length) checkLoop(path);
+    attach(mount, mount.child.get());
+    version++;
+    let op = null;
+    if (patchListeners.size && !detail.derived) {
+      const kind = detail.deleted ? 'remove' : detail.oldValue === undefined ? 'add' : 'replace';
+      op = patchOp({ op: kind, depth: segs.length - 1 }, segs);
+    }
+    withPatch(op, () => dispatch(path, segs, { ...detail, path, mount: mount.path }));
+  }
+
+  // A listener is writing while notifications are running: stop runaway
+  // recursion before it overflows the stack
+  function checkLoop(path) {
+    const count = reentries.get(path) || 0;
+    if (count < maxReentry && dispatching.length < maxDispatchDepth) return;
+    const from = count ? dispatching.lastIndexOf(path) : 0;
+    const cycle = dispatching.slice(from).concat(path);
+    const reason = count >= maxReentry
+      ? `"${path}" re-entered ${count} times (maxReentry ${maxReentry})`
+      : `${dispatching.length} nested writes (maxDispatchDepth ${maxDispatchDepth})`;
+    const err = new Error(`Update loop detected: ${cycle.join(' -> ')}; ${reason}`);
+    err.name = 'UpdateLoopError';
+    err.cycle = cycle;
+    throw err;
+  }
+
+  // The RFC 6902 op a write amounts to, decided before it lands: the
+  // shallowest missing segment is an 'add' (created parents included)
+  function planPatch(segs, deleting) {
+    let cur = state;
+    for (let i = 0; i < segs.length; i++) {
+      if (!hasKey(cur, segs[i])) return { op: 'add', depth: i };
+      if (i === segs.length - 1) break;
+      // Falsy parents are replaced by a fresh container
+      cur = child(cur, segs[i]);
+      if (!cur) return { op: 'replace', depth: i };
+    }
+    return { op: deleting ? 'remove' : 'replace', depth: segs.length - 1 };
+  }
+
+  // The op for a write that just landed, read before listeners can change it
+  function patchOp(plan, segs) {
+    const target = segs.slice(0, plan.depth + 1);
+    const op = { op: plan.op, path: toPointer(target) };
+    if (plan.op !== 'remove') {
+      const value = readPath(state, target);
+      // Listeners may hold on to ops; mutable state must not change under them
+      op.value = immutable ? value : cloneValue(value);
+    }
+    return op;
+  }
+
+  // Record the op before fn notifies, so writes listeners make follow it in
+  // the stream; a standalone write emits its op together with theirs
+  function withPatch(op, fn) {
+    if (!op) return fn();
+    const group = patchOps ? null : (patchOps = []);
+    patchOps.push(op);
+    try {
+      return fn();
+    } finally {
+      if (group) {
+        patchOps = null;
+        emitPatch(group);
       }
+    }
+  }
 
-      if (parts.length) {
-        let parent = "";
-        for (const p of parts) {
-          parent = parent ? `${parent}.${p}` : p;
-          const wildcardListeners = listeners.get(`${parent}.*`);
-          if (wildcardListeners) {
-            wildcardListeners.forEach(cb => cb(detail));
-          }
+  function emitPatch(ops) {
+    invoke(Array.from(patchListeners), ops, undefined, ops[0].path, 'onPatch');
+  }
+
+  function notify(path, segs, detail) {
+    const { value, oldValue } = detail;
+    const node = listeners.find(segs);
+
+    const exactListeners = node?.sets?.exact;
+    if (exactListeners) {
+      invoke(exactListeners, value, detail, path, path);
+    }
+
+    if (notifyDescendants && node) notifyBelow(node, path, value, oldValue);
+    if (listeners.counts.deep) notifyDeep(segs, node, value, oldValue, detail);
+
+    if (listeners.counts.pattern) {
+      listeners.matchNodes(segs).forEach(match => {
+        invoke(match.sets.pattern, detail, undefined, path, () => patternLabel(listeners.pathOf(match)));
+      });
+    }
+
+    if (listeners.counts.prefix) {
+      listeners.along(segs, 'prefix', (set, depth) => {
+        if (depth < segs.length) invoke(set, detail, undefined, path, () => `${formatPath(segs.slice(0, depth))}.*`);
+      });
+    }
+
+    invoke(globalListeners, detail, undefined, path, '*');
+  }
+
+  // Call every handler in the set; one that throws is reported, not fatal.
+  // listenerPath may be a function so it is only built when needed.
+  function invoke(set, a, b, path, listenerPath) {
+    for (const cb of set) {
+      try {
+        cb(a, b);
+      } catch (err) {
+        // A runaway loop must unwind to the outermost write, not be swallowed per level
+        if (err?.name === 'UpdateLoopError') throw err;
+        reportError(err, path, typeof listenerPath === 'function' ? listenerPath() : listenerPath);
+      }
+    }
+  }
+
+  // Call `name` on every plugin that has it; a throwing hook is reported like
+  // a listener. Returns the hooks' return values.
+  function runHook(name, path, ...args) {
+    const results = [];
+    for (const entry of plugins.slice()) {
+      const hook = entry.plugin[name];
+      if (typeof hook !== 'function') continue;
+      try {
+        results.push(hook.apply(entry.plugin, args));
+      } catch (err) {
+        if (err?.name === 'UpdateLoopError') throw err;
+        reportError(err, path, `plugin:${entry.name}.${name}`);
+      }
+    }
+    return results;
+  }
+
+  function reportError(err, path, listenerPath) {
+    const info = { path, listenerPath };
+    if (errorPath && !recordingError) {
+      // A failing listener on errorPath itself must not record again
+      recordingError = true;
+      try {
+        const entry = { name: err?.name ?? 'Error', message: err?.message ?? String(err), path, listenerPath, at: Date.now() };
+        const list = readPath(state, parsePath(errorPath));
+        writeAndNotify(errorPath, [...(Array.isArray(list) ? list : []), entry].slice(-errorLimit));
+      } finally {
+        recordingError = false;
+      }
+    }
+    onError(err, info);
+  }
+
+  // Exact subscribers under a replaced subtree, only where the value differs
+  function notifyBelow(node, path, value, oldValue) {
+    listeners.below(node, 'exact', (set, rel) => {
+      const next = readPath(value, rel);
+      const prev = readPath(oldValue, rel);
+      if (Object.is(next, prev)) return;
+      const detail = { path: formatPath(parsePath(path).concat(rel)), value: next, oldValue: prev, writePath: path };
+      invoke(set, next, detail, path, detail.path);
+    });
+  }
+
+  // Deep subscribers fire for writes at or below their path, and for writes
+  // above it that change their value
+  // Derived values are not part of their ancestors, so only their own node fires
+  function notifyDeep(segs, node, value, oldValue, detail) {
+    const { path } = detail;
+    if (detail.derived) {
+      const own = node?.sets?.deep;
+      if (own) invoke(own, value, detail, path, path);
+    } else {
+      listeners.along(segs, 'deep', (set, depth) => {
+        const at = segs.slice(0, depth);
+        invoke(set, readPath(state, at), detail, path, () => formatPath(at));
+      });
+    }
+    if (!node) return;
+    listeners.below(node, 'deep', (set, rel) => {
+      const next = readPath(value, rel);
+      if (Object.is(next, readPath(oldValue, rel))) return;
+      invoke(set, next, detail, path, () => formatPath(segs.concat(rel)));
+    });
+  }
+
+  function deliver(kind) {
+    flushQueued[kind] = false;
+    const queue = Array.from(pending[kind]);
+    pending[kind].clear();
+    queue.forEach(sub => sub.flush());
+  }
+
+  // Collect every call and hand the handler the last one plus `changes`
+  function scheduled(handler, kind, valueFirst, listenerPath) {
+    const sub = {
+      calls: [],
+      active: true,
+      flush() {
+        const calls = sub.calls;
+        sub.calls = [];
+        if (!sub.active || !calls.length) return;
+        const last = calls[calls.length - 1];
+        const detail = valueFirst ? last[1] : last[0];
+        const merged = { ...detail, changes: calls.map(args => (valueFirst ? args[1] : args[0])) };
+        try {
+          if (valueFirst) handler(last[0], merged);
+          else handler(merged);
+        } catch (err) {
+          reportError(err, detail.path, listenerPath);
         }
+      },
+    };
+    const wrapper = (...args) => {
+      if (!sub.active) return;
+      sub.calls.push(args);
+      pending[kind].add(sub);
+      if (flushQueued[kind]) return;
+      flushQueued[kind] = true;
+      (kind === 'frame' ? requestFrame : queueMicrotask)(() => deliver(kind));
+    };
+    const cancel = () => {
+      sub.active = false;
+      sub.calls = [];
+      pending[kind].delete(sub);
+    };
+    return { wrapper, cancel };
+  }
+
+  function subscribeTo(path, handler, opts = {}) {
+    const kind = opts.schedule ?? 'sync';
+    if (kind !== 'sync') {
+      assertSchedule(kind);
+      // Exact and deep handlers take (value, detail); patterns and '*' take (detail)
+      const valueFirst = path !== '*' && !isPattern(path);
+      const { wrapper, cancel } = scheduled(handler, kind, valueFirst, path);
+      const off = subscribeTo(path, wrapper, { ...opts, schedule: 'sync' });
+      return () => { cancel(); off(); };
+    }
+    if (path === '*') {
+      globalListeners.add(handler);
+      return () => globalListeners.delete(handler);
+    }
+    if (isPattern(path)) {
+      const prefix = trailingPrefix(path);
+      if (prefix) return listeners.add(prefix, 'prefix', handler);
+      return listeners.add(compilePattern(path), 'pattern', handler);
+    }
+    const segs = parsePath(path);
+    const off = listeners.add(segs, opts.deep ? 'deep' : 'exact', handler);
+    if (resources.size) syncResources(segs);
+    return () => {
+      off();
+      if (resources.size) syncResources(segs);
+    };
+  }
+
+  // Whether any exact or deep subscriber sits at or below the segments
+  function watched(segs) {
+    const node = listeners.find(segs);
+    if (!node) return false;
+    if (node.sets?.exact?.size || node.sets?.deep?.size) return true;
+    let found = false;
+    listeners.below(node, 'exact', () => { found = true; });
+    if (!found) listeners.below(node, 'deep', () => { found = true; });
+    return found;
+  }
+
+  // Start or stop (after `linger` ms) the resources a subscription change affects
+  function syncResources(segs) {
+    for (const res of resources.values()) {
+      if (!startsWith(segs, res.segs)) continue;
+      if (watched(res.segs)) {
+        clearTimeout(res.timer);
+        res.timer = null;
+        if (!res.controller) startResource(res);
+      } else if (res.controller && !res.timer) {
+        if (res.linger > 0) res.timer = setTimeout(() => { res.timer = null; stopResource(res); }, res.linger);
+        else stopResource(res);
       }
+    }
+  }
 
-      const globalListeners = listeners.get('*');
-      if (globalListeners) {
-        globalListeners.forEach(cb => cb(detail));
+  function startResource(res) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const label = `resource(${res.path})`;
+    res.controller = controller;
+    const ctx = {
+      signal,
+      get: () => readValue(res.segs),
+      // Writes after the signal aborted are dropped, like a superseded setAsync
+      set: (value) => (signal.aborted || destroyed ? value : setValue(res.path, value, 'resource')),
+    };
+    try {
+      const out = res.start(ctx);
+      if (typeof out === 'function') res.cleanup = out;
+      else if (typeof out?.then === 'function') {
+        out.then(null, (err) => {
+          if (!signal.aborted && err?.name !== 'AbortError') reportError(err, res.path, label);
+        });
       }
+    } catch (err) {
+      reportError(err, res.path, label);
     }
+  }
 
-    return value;
+  function stopResource(res) {
+    clearTimeout(res.timer);
+    res.timer = null;
+    if (!res.controller) return;
+    const { cleanup } = res;
+    res.controller.abort();
+    res.controller = null;
+    res.cleanup = null;
+    if (cleanup) {
+      try {
+        cleanup();
+      } catch (err) {
+        reportError(err, res.path, `resource(${res.path})`);
+      }
+    }
+  }
+
+  // Longest registered derived path equal to, or a prefix of, the segments
+  function derivedOwner(segs) {
+    if (!derived.size) return null;
+    for (let i = segs.length; i > 0; i--) {
+      const entry = derived.get(formatPath(segs.slice(0, i)));
+      if (entry) return { entry, rest: segs.slice(i) };
+    }
+    return null;
+  }
+
+  // Read through derived paths, falling back to state
+  function readValue(segs) {
+    if (mounts.size) {
+      // Delegated so the child's derived paths resolve too
+      const mounted = mountOwner(segs);
+      if (mounted) return mounted.mount.child.get(formatPath(mounted.rest));
+    }
+    const owned = derivedOwner(segs);
+    if (owned) return readPath(evaluate(owned.entry), owned.rest);
+    return readPath(state, segs);
+  }
+
+  function cycleError(trail) {
+    const err = new Error(`Derived path cycle: ${trail.join(' → ')}`);
+    err.name = 'DerivedCycleError';
+    err.cycle = trail;
+    return err;
+  }
+
+  // Follow derived dependencies from `start`; returns the cycle trail or null
+  function findCycle(start) {
+    const visit = (path, trail) => {
+      const entry = derived.get(path);
+      if (!entry) return null;
+      for (const dep of entry.deps.keys()) {
+        const owner = derivedOwner(parsePath(dep))?.entry.path;
+        if (!owner) continue;
+        if (owner === start) return [...trail, owner];
+        if (trail.includes(owner)) continue;
+        const found = visit(owner, [...trail, owner]);
+        if (found) return found;
+      }
+      return null;
+    };
+    return visit(start, [start]);
+  }
+
+  function evaluate(entry) {
+    if (!entry.dirty) return entry.value;
+    if (computing.includes(entry.path)) {
+      throw cycleError([...computing.slice(computing.indexOf(entry.path)), entry.path]);
+    }
+    const read = new Set();
+    const get = (p) => {
+      const path = normalizePath(p);
+      read.add(path);
+      return readValue(parsePath(path));
+    };
+    computing.push(entry.path);
+    try {
+      entry.value = entry.fn(get);
+    } finally {
+      computing.pop();
+    }
+    entry.dirty = false;
+
+    for (const [p, off] of entry.deps) {
+      if (!read.has(p)) { off(); entry.deps.delete(p); }
+    }
+    for (const p of read) {
+      if (!entry.deps.has(p)) entry.deps.set(p, subscribeTo(p, () => invalidate(entry), { deep: true }));
+    }
+    const cycle = findCycle(entry.path);
+    if (cycle) throw cycleError(cycle);
+    return entry.value;
+  }
+
+  // Someone would hear about a change at these segments
+  function isObserved(segs) {
+    return !!listeners.find(segs)
+      || globalListeners.size > 0
+      || (listeners.counts.prefix > 0 && hasPrefixListener(segs))
+      || (listeners.counts.pattern > 0 && listeners.match(segs).length > 0);
+  }
+
+  function hasPrefixListener(segs) {
+    let found = false;
+    listeners.along(segs, 'prefix', (set, depth) => { if (depth < segs.length) found = true; });
+    return found;
+  }
+
+  // A dependency changed: recompute now if eager or observed, else on next read.
+  // Every notification recomputes: a derived dependency may only catch up
+  // after this entry already read its old value in the same write.
+  function invalidate(entry) {
+    if (!derived.has(entry.path)) return;
+    entry.dirty = true;
+    if (!entry.eager && !isObserved(entry.segs)) return;
+    const oldValue = entry.value;
+    const value = evaluate(entry);
+    if (entry.equals(oldValue, value)) return;
+    notify(entry.path, entry.segs, { path: entry.path, value, oldValue, derived: true });
+  }
+
+  // Writing a mount point or one of its ancestors would cut the child off
+  function assertNotOverMount(path) {
+    const segs = parsePath(path);
+    for (const mount of mounts.values()) {
+      if (startsWith(mount.segs, segs)) {
+        throw new TypeError(`Cannot set "${path}": a store is mounted at "${mount.path}" (unmount it first)`);
+      }
+    }
+  }
+
+  // Latest value for a path, including writes still waiting in a transaction or batch
+  function pendingValue(path, tx) {
+    let value;
+    if (tx?.writes.has(path)) value = tx.writes.get(path);
+    else if (batching && batchBuffer.has(path)) value = batchBuffer.get(path);
+    else return readPath(state, parsePath(path));
+    return value === DELETE ? undefined : value;
+  }
+
+  // Returns the (possibly transformed) write, or null when a middleware vetoed it
+  function runMiddleware(path, value, source, tx) {
+    const write = { path, value, oldValue: pendingValue(path, tx), source, deleted: value === DELETE };
+    for (const mw of middlewares.slice()) {
+      if (mw(write) === false) return null;
+    }
+    return write;
+  }
+
+  // Route an accepted write: into a transaction, the batch buffer, or the state
+  function stage(path, value, tx) {
+    if (tx) {
+      tx.writes.set(path, value);
+      return value;
+    }
+    if (batching) {
+      batchBuffer.set(path, value);
+      return value;
+    }
+    return writeAndNotify(path, value);
+  }
+
+  function setValue(path, value, source, tx) {
+    path = normalizePath(path);
+    if (derived.size && derivedOwner(parsePath(path))) {
+      throw new TypeError(`Cannot set derived path "${path}"`);
+    }
+    if (mounts.size) assertNotOverMount(path);
+    if (middlewares.length) {
+      const write = runMiddleware(path, value, source, tx);
+      if (!write) return pendingValue(path, tx);
+      value = write.value;
+    }
+    return stage(path, value, tx);
+  }
+
+  // Remember a setAsync result; once it outlives staleTime the path's status
+  // turns 'stale' (unless a newer request or write changed it meanwhile), and
+  // once it outlives both staleTime and cacheTime it is dropped
+  function cacheResult(path, key, data, staleTime, cacheTime) {
+    dropCached(path);
+    const keepFor = Math.max(staleTime, cacheTime);
+    if (!(keepFor > 0)) return;
+    const entry = { key, data, at: Date.now(), timer: null, evictTimer: null };
+    if (staleTime > 0 && Number.isFinite(staleTime)) {
+      entry.timer = setTimeout(() => {
+        if (destroyed || asyncCache.get(path) !== entry || asyncOps.has(path)) return;
+        const statusPath = `${path}.status`;
+        if (readValue(parsePath(statusPath)) === 'success') setValue(statusPath, 'stale', 'setAsync');
+      }, staleTime);
+    }
+    if (Number.isFinite(keepFor)) {
+      entry.evictTimer = setTimeout(() => {
+        if (asyncCache.get(path) === entry) asyncCache.delete(path);
+      }, keepFor);
+    }
+    asyncCache.set(path, entry);
+  }
+
+  function dropCached(path) {
+    const entry = asyncCache.get(path);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    clearTimeout(entry.evictTimer);
+    asyncCache.delete(path);
+  }
+
+  // Hand a finished transaction's writes to the enclosing transaction or
+  // batch, or commit them as one batch
+  function commitWrites(tx) {
+    const parent = txStack[txStack.length - 1];
+    runBatch(() => {
+      for (const [p, v] of tx.writes) stage(p, v, parent);
+    });
+  }
+
+  // Buffer writes made by fn; the outermost batch flushes them and brackets
+  // the whole run with the onBatchStart/onBatchEnd plugin hooks
+  function runBatch(fn) {
+    const outermost = !batching;
+    if (outermost && plugins.length) runHook('onBatchStart');
+    batching = true;
+    try {
+      fn();
+    } finally {
+      if (outermost) {
+        batching = false;
+        try {
+          flushBatch();
+        } finally {
+          if (plugins.length) runHook('onBatchEnd');
+        }
+      }
+    }
+  }
+
+  function leaveStack(tx) {
+    const i = txStack.lastIndexOf(tx);
+    if (i !== -1) txStack.splice(i, 1);
+  }
+
+  function createTransaction() {
+    const tx = { writes: createWriteBuffer(), status: 'open' };
+    const assertOpen = () => {
+      if (tx.status !== 'open') throw new Error(`Transaction already ${tx.status}`);
+    };
+    tx.api = {
+      /** Read a path, seeing this transaction's pending writes at or above it */
+      get(path) {
+        const segs = parsePath(normalizePath(path));
+        for (let i = segs.length; i > 0; i--) {
+          const prefix = formatPath(segs.slice(0, i));
+          if (!tx.writes.has(prefix)) continue;
+          const pending = tx.writes.get(prefix);
+          return pending === DELETE ? undefined : readPath(pending, segs.slice(i));
+        }
+        return readPath(state, segs);
+      },
+      /** Stage a write; nothing is visible to subscribers until commit */
+      set(path, value, opts = {}) {
+        assertOpen();
+        if (destroyed) throw new Error('Cannot set on destroyed store');
+        if (!path) return value;
+        return setValue(path, value, opts.source ?? 'transaction', tx);
+      },
+      /** Stage a key removal */
+      delete(path, opts = {}) {
+        assertOpen();
+        if (destroyed) throw new Error('Cannot delete on destroyed store');
+        if (!path) throw new TypeError('delete requires a path');
+        setValue(path, DELETE, opts.source ?? 'transaction', tx);
+      },
+      /** Apply every staged write now (at most once) */
+      commit() {
+        assertOpen();
+        tx.status = 'committed';
+        // Later writes in the body (and by listeners during the flush) go past it
+        leaveStack(tx);
+        if (!destroyed) commitWrites(tx);
+        tx.writes.clear();
+      },
+      /** Discard every staged write */
+      rollback() {
+        if (tx.status !== 'open') return;
+        tx.status = 'rolled back';
+        leaveStack(tx);
+        tx.writes.clear();
+      },
+      get status() { return tx.status; },
+    };
+    return tx;
   }
 
   function flushBatch() {
-    const entries = Array.from(batchBuffer.entries());
+    const entries = Array.from(batchBuffer);
     batchBuffer.clear();
-    for (const [p, v] of entries) {
-      writeAndNotify(p, v);
+    // Writes made while flushing (including by subscribers) join the same patch
+    const group = !patchOps && patchListeners.size ? (patchOps = []) : null;
+    try {
+      for (const [p, v] of entries) {
+        writeAndNotify(p, v);
+      }
+    } finally {
+      if (group) {
+        patchOps = null;
+        if (group.length) emitPatch(group);
+      }
     }
   }
 
-  return {
+  const store = {
     /**
      * Get value at path
-     * @param {string} path - Dot-separated path (e.g., 'user.profile.name')
+     * @param {string} path - Dot-separated path (e.g., 'user.profile.name', 'items[0].text')
      * @returns {*} Value at path, or entire state if no path provided
      */
     get(path) {
       if (destroyed) throw new Error('Cannot get from destroyed store');
       if (!path) return state;
-      const parts = path.split('.');
-      let cur = state;
-      for (const p of parts) {
-        if (cur == null) return undefined;
-        cur = cur[p];
+      return readValue(parsePath(path));
+    },
+
+    /**
+     * Remove the key at path. Subscribers receive `{ path, value: undefined,
+     * oldValue, deleted: true }`; array elements are spliced out. Removing a
+     * missing key is a no-op. Respects batching, transactions and middleware
+     * (middleware sees `value === DELETE` and `deleted: true`).
+     * @param {string} path
+     * @param {Object} [opts]
+     * @param {string} [opts.source='delete'] - Origin of the write, passed to middleware
+     */
+    delete(path, opts = {}) {
+      if (destroyed) throw new Error('Cannot delete on destroyed store');
+      if (!path) throw new TypeError('delete requires a path');
+      setValue(path, DELETE, opts.source ?? 'delete', txStack[txStack.length - 1]);
+    },
+
+    /**
+     * Get a versioned view of the whole state. The same object is returned
+     * until the next write. In immutable mode `state` is the frozen root and
+     * costs nothing; otherwise it is a deep copy of the live state.
+     * @returns {{ version: number, state: Object }}
+     */
+    getSnapshot() {
+      if (destroyed) throw new Error('Cannot get snapshot from destroyed store');
+      if (!snapshot || snapshot.version !== version) {
+        const copy = immutable ? state : cloneValue(state);
+        snapshot = Object.freeze({ version, state: copy });
       }
-      return cur;
+      return snapshot;
     },
 
     /**
-     * Set value at path and notify subscribers
+     * Set value at path and notify subscribers. Missing parents are created,
+     * as arrays when the next segment is an index ('items[0].text').
      * @param {string} path - Dot-separated path (e.g., 'user.profile.name')
      * @param {*} value - New value
-     * @returns {*} The value that was set
+     * @param {Object} [opts]
+     * @param {string} [opts.source='set'] - Origin of the write, passed to middleware
+     * @returns {*} The value that was set (the unchanged value if a middleware vetoed it)
      */
-    set(path, value) {
+    set(path, value, opts = {}) {
       if (destroyed) throw new Error('Cannot set on destroyed store');
       if (!path) return value;
-
-      if (batching) {
-        batchBuffer.set(path, value);
-        return value;
-      }
-
-      return writeAndNotify(path, value);
+      return setValue(path, value, opts.source ?? 'set', txStack[txStack.length - 1]);
     },
 
-    async setAsync(path, fetcher) {
+    /**
+     * Run an async fetcher and mirror it under path: `status` ('loading',
+     * 'refreshing', 'success', 'stale', 'error', 'cancelled'), `data` and
+     * `error`. A new call for the same path aborts the one in flight, unless
+     * both have the same `key` (defaults to the fetcher function), in which
+     * case the running request is shared. Pass a `key` when the fetcher is
+     * an inline closure and repeat calls should dedupe or hit the cache.
+     *
+     * The last result per path is cached: within `staleTime` ms a call with
+     * the same key returns it without fetching; within `cacheTime` ms it
+     * refetches with status 'refreshing' while `data` keeps the cached value.
+     * Status turns 'stale' once `staleTime` has passed (when it is set), and
+     * the result is forgotten once both times have passed. `data` is never
+     * cleared by a new call: during 'loading' it still holds whatever was
+     * last written there (an older result for another key, or undefined).
+     * @param {string} path
+     * @param {(signal: AbortSignal) => Promise<any>} fetcher
+     * @param {Object} [opts]
+     * @param {number} [opts.retry=0] - Retries after a failure (not after cancellation)
+     * @param {number|((attempt: number, err: Error) => number)} [opts.retryDelay=1000] - Backoff in ms;
+     *   a number is doubled per attempt
+     * @param {number} [opts.timeout] - Per-attempt limit in ms; the attempt's signal aborts
+     *   and it fails with a TimeoutError (retried like other failures)
+     * @param {number} [opts.staleTime=0] - How long a result is served without refetching
+     * @param {number} [opts.cacheTime=0] - How long a result is served while revalidating
+     * @param {any} [opts.key=fetcher] - Identity for dedupe and the cache
+     * @returns {Promise<any>} The data; rejects with an AbortError when cancelled
+     */
+    async setAsync(path, fetcher, opts = {}) {
       if (destroyed) throw new Error('Cannot setAsync on destroyed store');
       if (!path) throw new TypeError('setAsync requires a path');
       if (typeof fetcher !== 'function') {
         throw new TypeError('setAsync(path, fetcher) requires a function fetcher');
       }
+      const { retry = 0, retryDelay = 1000, timeout, staleTime = 0, cacheTime = 0, key = fetcher } = opts;
 
-      if (asyncOps.has(path)) {
-        asyncOps.get(path).controller.abort();
-      }
+      const running = asyncOps.get(path);
+      if (running && Object.is(running.key, key)) return running.promise;
+      const cached = asyncCache.get(path);
+      const age = cached && Object.is(cached.key, key) ? Date.now() - cached.at : Infinity;
+      if (age < staleTime) return cached.data;
+      running?.controller.abort();
 
       const controller = new AbortController();
-      asyncOps.set(path, { controller });
+      const op = { controller, key, promise: null };
+      asyncOps.set(path, op);
+      const current = () => asyncOps.get(path) === op;
+      const asyncSource = { source: 'setAsync' };
 
-      try {
-        this.batch(() => {
-          this.set(`${path}.status`, 'loading');
-          this.set(`${path}.error`, null);
-        });
+      op.promise = (async () => {
+        try {
+          this.batch(() => {
+            this.set(`${path}.status`, age < cacheTime ? 'refreshing' : 'loading', asyncSource);
+            this.set(`${path}.error`, null, asyncSource);
+          });
 
-        const data = await fetcher(controller.signal);
+          const data = await fetchWithRetry(fetcher, controller.signal, { retry, retryDelay, timeout });
 
-        if (destroyed) throw new Error('Cannot setAsync on destroyed store');
+          if (destroyed) throw new Error('Cannot setAsync on destroyed store');
 
-        this.batch(() => {
-          this.set(`${path}.data`, data);
-          this.set(`${path}.status`, 'success');
-        });
-        return data;
-      } catch (err) {
-        if (err?.name === 'AbortError') {
-          this.set(`${path}.status`, 'cancelled');
-          const cancelErr = new Error('Request cancelled');
-          cancelErr.name = 'AbortError';
-          throw cancelErr;
-        }
-
-        this.batch(() => {
-          this.set(`${path}.status`, 'error');
-          this.set(`${path}.error`, err?.message ?? String(err));
-        });
-        throw err;
-      } finally {
-        const op = asyncOps.get(path);
-        if (op?.controller === controller) {
-          asyncOps.delete(path);
+          this.batch(() => {
+            this.set(`${path}.data`, data, asyncSource);
+            this.set(`${path}.status`, 'success', asyncSource);
+          });
+          cacheResult(path, key, data, staleTime, cacheTime);
+          return data;
+        } catch (err) {
+          if (destroyed) throw new Error('Cannot setAsync on destroyed store');
+          // A superseded or cancel()ed request leaves status to its successor
+          if (err?.name === 'AbortError') {
+            if (current()) this.set(`${path}.status`, 'cancelled', asyncSource);
+            throw abortError('Request cancelled');
+          }
+          if (current()) {
+            this.batch(() => {
+              this.set(`${path}.status`, 'error', asyncSource);
+              this.set(`${path}.error`, err?.message ?? String(err), asyncSource);
+            });
+          }
+          throw err;
+        } finally {
+          if (current()) asyncOps.delete(path);
         }
-      }
+      })();
+      return op.promise;
     },
 
     cancel(path) {
@@ -208,67 +1415,594 @@ export function createEventState(initial = {}) {
       if (asyncOps.has(path)) {
         asyncOps.get(path).controller.abort();
         asyncOps.delete(path);
-        this.set(`${path}.status`, 'cancelled');
+        this.set(`${path}.status`, 'cancelled', { source: 'setAsync' });
       }
     },
 
     /**
      * Batch multiple set() calls. Subscribers fire once per unique path
-     * after the batch completes, not during. Supports nesting.
+     * after the batch completes, not during. Supports nesting. A batch is not
+     * a rollback unit: if fn throws, the writes made before the throw still
+     * land (use transaction() for all-or-nothing).
      * @param {Function} fn - Function containing set() calls to batch
      */
     batch(fn) {
       if (destroyed) throw new Error('Cannot batch on destroyed store');
       if (typeof fn !== 'function') throw new TypeError('batch requires a function');
-      const wasBatching = batching;
-      batching = true;
+      runBatch(fn);
+    },
+
+    /**
+     * Run fn as an all-or-nothing unit. Writes made while it runs (store.set
+     * in the synchronous part, tx.set at any time) are staged and only
+     * committed, as one batch, when fn returns or its promise resolves. If fn
+     * throws or the promise rejects, every staged write is discarded and the
+     * error is rethrown. tx.commit() commits early; tx.rollback() discards
+     * without an error. Nested transactions commit into their parent.
+     *
+     * Async bodies: after the first `await`, store.set() writes directly to
+     * the store, so stage writes with tx.set() instead.
+     *
+     * @template T
+     * @param {(tx: { get: Function, set: Function, delete: Function, commit: Function, rollback: Function, status: string }) => T} fn
+     * @returns {T} fn's return value (a promise for async bodies)
+     */
+    transaction(fn) {
+      if (destroyed) throw new Error('Cannot run transaction on destroyed store');
+      if (typeof fn !== 'function') throw new TypeError('transaction requires a function');
+      const tx = createTransaction();
+      const finish = () => { if (tx.status === 'open') tx.api.commit(); };
+
+      let result;
+      txStack.push(tx);
       try {
-        fn();
+        result = fn(tx.api);
+      } catch (err) {
+        tx.api.rollback();
+        throw err;
       } finally {
-        batching = wasBatching;
-        if (!batching) flushBatch();
+        leaveStack(tx);
       }
+
+      if (result && typeof result.then === 'function') {
+        return Promise.resolve(result).then(
+          (value) => { finish(); return value; },
+          (err) => { tx.api.rollback(); throw err; }
+        );
+      }
+      finish();
+      return result;
     },
 
     /**
-     * Set multiple paths atomically. Equivalent to batch(() => { set(a); set(b); ... }).
+     * Set multiple paths atomically. Equivalent to transaction(() => { set(a); set(b); ... }):
+     * subscribers fire once after all entries land, and if a middleware throws
+     * (e.g. a rejecting schema) none of them do.
      * Accepts a plain object, an array of [path, value] pairs, or a Map.
+     * A DELETE value removes that path.
      * @param {Object|Array|Map} entries - Paths and values to set
      */
     setMany(entries) {
       if (destroyed) throw new Error('Cannot setMany on destroyed store');
       if (!entries) return;
-      this.batch(() => {
+      const manySource = { source: 'setMany' };
+      this.transaction(() => {
         if (Array.isArray(entries)) {
-          for (const [p, v] of entries) this.set(p, v);
+          for (const [p, v] of entries) this.set(p, v, manySource);
         } else if (entries instanceof Map) {
-          for (const [p, v] of entries.entries()) this.set(p, v);
+          for (const [p, v] of entries.entries()) this.set(p, v, manySource);
         } else if (typeof entries === 'object') {
-          for (const p of Object.keys(entries)) this.set(p, entries[p]);
+          for (const p of Object.keys(entries)) this.set(p, entries[p], manySource);
         }
       });
     },
 
+    /**
+     * Listen for committed changes as RFC 6902 operations. The listener gets
+     * one array per standalone write, or one per batch (setMany, transaction,
+     * applyPatch); writes listeners make in response join that array, after
+     * the op that caused them, so the stream replays in order. Writes become
+     * 'add' (new key, or the shallowest parent a
+     * write created), 'replace' or 'remove'; array element removal is a
+     * 'remove' at its index. Derived paths are not part of the stream.
+     * @param {(ops: Array<{ op: 'add'|'replace'|'remove', path: string, value?: any }>) => void} listener
+     * @returns {Function} Function that removes the listener
+     */
+    onPatch(listener) {
+      if (destroyed) throw new Error('Cannot listen on destroyed store');
+      if (typeof listener !== 'function') throw new TypeError('onPatch requires a function');
+      patchListeners.add(listener);
+      return () => patchListeners.delete(listener);
+    },
+
+    /**
+     * Apply RFC 6902 operations (add, remove, replace, move, copy, test)
+     * atomically: every op is checked against a draft of the committed state
+     * first, and if one fails (a 'test' mismatch, a missing path, a bad index)
+     * a PatchError is thrown and nothing is written. Otherwise the changed
+     * paths are written as one transaction through middleware (source
+     * 'patch'), so subscribers fire as usual and a middleware that throws
+     * leaves the store untouched. The document root cannot be replaced.
+     * @param {Array<{ op: string, path: string, value?: any, from?: string }>} ops
+     */
+    applyPatch(ops) {
+      if (destroyed) throw new Error('Cannot applyPatch on destroyed store');
+      const { result, touched } = applyOps(state, ops);
+
+      // Writing a path also covers everything below it
+      const roots = [];
+      for (const segs of touched) {
+        const covered = roots.some(r => startsWith(segs, r));
+        if (covered) continue;
+        for (let i = roots.length - 1; i >= 0; i--) {
+          if (startsWith(roots[i], segs)) roots.splice(i, 1);
+        }
+        roots.push(segs);
+      }
+      if (derived.size) {
+        const owned = roots.find(segs => derivedOwner(segs));
+        if (owned) throw new TypeError(`Cannot set derived path "${formatPath(owned)}"`);
+      }
+
+      // Staged in a transaction so a middleware veto by throwing discards every write
+      this.transaction(() => {
+        const tx = txStack[txStack.length - 1];
+        for (const segs of roots) {
+          const parent = readPath(result, segs.slice(0, -1));
+          const present = hasKey(parent, segs[segs.length - 1]);
+          setValue(formatPath(segs), present ? readPath(result, segs) : DELETE, 'patch', tx);
+        }
+      });
+    },
+
+    /**
+     * Subscribe to a value computed from the store. The selector receives a
+     * `get` function; the paths it reads become its dependencies (re-tracked on
+     * every run) and it only re-runs when one of them changes. The handler
+     * fires when the result differs from the previous one by `equals`.
+     * @template T
+     * @param {(get: (path: string) => any) => T} selector
+     * @param {(next: T, prev: T|undefined) => void} handler
+     * @param {Object} [opts]
+     * @param {'is'|'shallow'|'deep'|Function} [opts.equals='is'] - Result comparator
+     * @param {boolean} [opts.immediate=false] - Call handler once with the initial result
+     * @returns {Function} Unsubscribe function
+     */
+    select(selector, handler, opts = {}) {
+      if (destroyed) throw new Error('Cannot select on destroyed store');
+      if (typeof selector !== 'function' || typeof handler !== 'function') {
+        throw new TypeError('select requires selector and handler functions');
+      }
+      const equals = resolveEquals(opts.equals);
+      const deps = new Map();
+      let active = true;
+      let ranAt = -1;
+      let current;
+
+      const onChange = (value, detail) => {
+        // Several dependencies can fire for one write; run once per version.
+        // A derived path recomputes without a new version, possibly after this
+        // selector already read its old value, so its notification always re-runs.
+        if (!active || (ranAt === version && !detail?.derived)) return;
+        const next = run();
+        if (equals(current, next)) return;
+        const prev = current;
+        current = next;
+        handler(next, prev);
+      };
+
+      const run = () => {
+        const read = new Set();
+        const get = (p) => {
+          if (!p) {
+            read.add('*');
+            return state;
+          }
+          const path = normalizePath(p);
+          read.add(path);
+          return readValue(parsePath(path));
+        };
+        ranAt = version;
+        const value = selector(get);
+        for (const [p, off] of deps) {
+          if (!read.has(p)) { off(); deps.delete(p); }
+        }
+        for (const p of read) {
+          if (!deps.has(p)) deps.set(p, subscribeTo(p, onChange, { deep: true }));
+        }
+        return value;
+      };
+
+      current = run();
+      if (opts.immediate) handler(current, undefined);
+
+      return () => {
+        active = false;
+        deps.forEach(off => off());
+        deps.clear();
+      };
+    },
+
+    /**
+     * Register a read-only virtual path computed from other paths. Paths read
+     * through `get` are tracked (and re-tracked on every run). The value is
+     * computed once now, then again when a dependency changes: immediately if
+     * `eager` or someone subscribes to the path, otherwise on the next read.
+     * Subscribers fire when the result differs by `equals`. Derived values are
+     * not stored, so they do not appear in get() of an ancestor. Cycles between
+     * derived paths throw a DerivedCycleError naming the cycle.
+     * @param {string} path
+     * @param {(get: (path: string) => any) => any} fn
+     * @param {Object} [opts]
+     * @param {boolean} [opts.eager=false] - Recompute on every dependency change
+     * @param {'is'|'shallow'|'deep'|Function} [opts.equals='is'] - Change comparator
+     * @returns {Function} Function that removes the derived path
+     */
+    derive(path, fn, opts = {}) {
+      if (destroyed) throw new Error('Cannot derive on destroyed store');
+      if (!path || typeof fn !== 'function') throw new TypeError('derive requires path and function');
+      path = normalizePath(path);
+      if (isPattern(path)) throw new TypeError('derive requires a concrete path');
+      if (derived.has(path)) throw new Error(`Path "${path}" is already derived`);
+
+      const entry = {
+        path,
+        segs: parsePath(path),
+        fn,
+        eager: !!opts.eager,
+        equals: resolveEquals(opts.equals),
+        deps: new Map(),
+        dirty: true,
+        value: undefined,
+      };
+      const dispose = () => {
+        if (derived.get(path) !== entry) return;
+        derived.delete(path);
+        entry.deps.forEach(off => off());
+        entry.deps.clear();
+      };
+      derived.set(path, entry);
+      try {
+        evaluate(entry);
+      } catch (err) {
+        dispose();
+        throw err;
+      }
+      return dispose;
+    },
+
+    /**
+     * Register write middleware. Each middleware receives
+     * `{ path, value, oldValue, source }` before the write lands (before it is
+     * buffered, inside a batch). Assign `write.value` to transform it, return
+     * `false` to veto it, or throw to reject it with an error.
+     * @param {(write: { path: string, value: any, oldValue: any, source: string, deleted: boolean }) => (void|false)} middleware
+     * @returns {Function} Function that removes the middleware
+     */
+    use(middleware) {
+      if (destroyed) throw new Error('Cannot use middleware on destroyed store');
+      if (typeof middleware !== 'function') throw new TypeError('use requires a function');
+      middlewares.push(middleware);
+      return () => {
+        const i = middlewares.indexOf(middleware);
+        if (i !== -1) middlewares.splice(i, 1);
+      };
+    },
+
+    /**
+     * Relative view of the store under `prefix`, with get/set/delete/setMany/
+     * subscribe/batch and nested scope(). Wildcards are translated ('*' is
+     * anything below the prefix) and details carry paths relative to it.
+     * dispose() unsubscribes everything the scope registered.
+     * @param {string} prefix - e.g. 'domain.todos'
+     */
+    scope(prefix) {
+      if (destroyed) throw new Error('Cannot scope a destroyed store');
+      if (!prefix) throw new TypeError('scope requires a prefix');
+      if (isPattern(prefix)) throw new TypeError('scope requires a concrete prefix');
+      return createScope(this, prefix);
+    },
+
+    /**
+     * Mount a child store at `path`. Reads and writes below the path are
+     * delegated to the child (writes still pass this store's middleware,
+     * batches and transactions first); the child's changes are re-emitted
+     * here with prefixed paths (detail.mount names the mount point), so
+     * wildcard, deep and '*' subscribers see them. get() of an ancestor
+     * includes the child's state. Writing the mount path itself or one of
+     * its ancestors throws until unmount(). If the child (a store with
+     * install()) is destroyed, it is detached and its last state stays here
+     * as ordinary data.
+     * @param {string} path
+     * @param {{ get: Function, set: Function, subscribe: Function, delete?: Function }} childStore
+     * @returns {Function} unmount function
+     */
+    mount(path, childStore) {
+      if (destroyed) throw new Error('Cannot mount on destroyed store');
+      if (!path || isPattern(path)) throw new TypeError('mount requires a concrete path');
+      if (!childStore || childStore === this || typeof childStore.get !== 'function'
+        || typeof childStore.set !== 'function' || typeof childStore.subscribe !== 'function') {
+        throw new TypeError('mount requires a child store with get, set and subscribe');
+      }
+      path = normalizePath(path);
+      const segs = parsePath(path);
+      for (const other of mounts.values()) {
+        if (startsWith(segs, other.segs) || startsWith(other.segs, segs)) {
+          throw new Error(`Cannot mount at "${path}": overlaps the store mounted at "${other.path}"`);
+        }
+      }
+
+      const mount = { path, segs, child: childStore, off: null };
+      const oldValue = readPath(state, segs);
+      mounts.set(path, mount);
+      mount.off = childStore.subscribe('*', (detail) => bridge(mount, detail));
+      const root = childStore.get();
+      attach(mount, root);
+      // A destroyed child leaves its last state behind as plain data here
+      childStore.install?.({
+        name: `mount:${path}`,
+        onDestroy: () => {
+          if (destroyed || mounts.get(path) !== mount) return;
+          mounts.delete(path);
+          mount.off?.();
+        },
+      });
+      version++;
+      dispatch(path, segs, { path, value: root, oldValue, mount: path });
+      return () => this.unmount(path);
+    },
+
+    /**
+     * Detach the store mounted at `path`: stop forwarding its events and
+     * remove its state from this store (subscribers see a deletion). The
+     * child store itself keeps working.
+     * @param {string} path
+     * @returns {boolean} false if nothing was mounted there
+     */
+    unmount(path) {
+      if (destroyed) return false;
+      path = normalizePath(path);
+      const mount = mounts.get(path);
+      if (!mount) return false;
+      mounts.delete(path);
+      mount.off?.();
+      writeAndNotify(path, DELETE);
+      return true;
+    },
+
+    /**
+     * Keep `path` live only while something watches it. `start({ set, get,
+     * signal })` runs when the first exact or deep subscriber at or below
+     * the path appears (including selectors and derived paths reading it);
+     * when the last one leaves, `signal` aborts, after `linger` ms if set,
+     * and a cleanup function returned by `start` runs. A subscriber arriving
+     * while it lingers keeps the running resource. `set(value)` writes the
+     * path (source 'resource') and is ignored once the signal has aborted.
+     * Errors thrown by `start` or rejected from its promise go to onError.
+     * @param {string} path
+     * @param {(ctx: { set: (value: any) => any, get: () => any, signal: AbortSignal }) => (void|(() => void)|Promise<void>)} start
+     * @param {{ linger?: number }} [opts]
+     * @returns {Function} Function that stops the resource and removes it
+     */
+    resource(path, start, opts = {}) {
+      if (destroyed) throw new Error('Cannot add a resource to destroyed store');
+      if (!path || path === '*' || isPattern(path)) throw new TypeError('resource requires a concrete path');
+      if (typeof start !== 'function') throw new TypeError('resource requires a start function');
+      path = normalizePath(path);
+      if (resources.has(path)) throw new Error(`A resource is already registered at "${path}"`);
+      const res = { path, segs: parsePath(path), start, linger: opts.linger ?? 0, controller: null, cleanup: null, timer: null };
+      resources.set(path, res);
+      syncResources(res.segs);
+      return () => {
+        if (resources.get(path) !== res) return;
+        resources.delete(path);
+        stopResource(res);
+      };
+    },
+
+    /**
+     * Subscribe for the next change only; the handler runs at most once.
+     * @param {string} path - Same forms as subscribe()
+     * @param {Function} handler - Same signature as for subscribe()
+     * @param {Object} [opts] - subscribe() options
+     * @returns {Function} Unsubscribe function (before it has fired)
+     */
+    once(path, handler, opts = {}) {
+      if (typeof handler !== 'function') throw new TypeError('once requires path and handler');
+      let fired = false;
+      const off = this.subscribe(path, (...args) => {
+        if (fired) return;
+        fired = true;
+        off();
+        handler(...args);
+      }, opts);
+      return off;
+    },
+
+    /**
+     * Resolve with the value at path once `predicate(value)` is true; checked
+     * against the current value first, then on every change at, above or
+     * below path. A non-function predicate is compared with Object.is.
+     * Patterns and '*' resolve with the first matching change detail.
+     * Rejects with an AbortError when `signal` aborts, a TimeoutError after
+     * `timeout` ms, or an Error if the store is destroyed meanwhile.
+     * @param {string} path
+     * @param {((value: any) => boolean)|any} [predicate] - Defaults to "not undefined"
+     * @param {{ signal?: AbortSignal, timeout?: number }} [opts]
+     * @returns {Promise<any>}
+     */
+    waitFor(path, predicate = (v) => v !== undefined, opts = {}) {
+      if (destroyed) return Promise.reject(new Error('Cannot waitFor on destroyed store'));
+      if (!path) return Promise.reject(new TypeError('waitFor requires a path'));
+      const test = typeof predicate === 'function' ? predicate : (v) => Object.is(v, predicate);
+      const { signal, timeout } = opts;
+      const concrete = path !== '*' && !isPattern(path);
+
+      return new Promise((resolve, reject) => {
+        let off = null;
+        let timer = null;
+        const settle = (fn, arg) => {
+          off?.();
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+          teardowns.delete(onDestroy);
+          fn(arg);
+        };
+        const onAbort = () => settle(reject, abortError(`waitFor("${path}") aborted`));
+        const onDestroy = () => settle(reject, new Error(`Store destroyed while waiting for "${path}"`));
+
+        if (signal?.aborted) return onAbort();
+        if (concrete) {
+          const current = readValue(parsePath(path));
+          if (test(current)) return resolve(current);
+        }
+        off = subscribeTo(path, (arg) => { if (test(arg)) settle(resolve, arg); }, { deep: concrete });
+        signal?.addEventListener('abort', onAbort);
+        teardowns.add(onDestroy);
+        if (timeout != null) {
+          timer = setTimeout(() => {
+            settle(reject, timeoutError(`waitFor("${path}") timed out after ${timeout}ms`));
+          }, timeout);
+        }
+      });
+    },
+
+    /**
+     * Changes at path as an AsyncIterable. Each iteration subscribes when it
+     * starts and yields what a subscribe() handler would receive first: the
+     * value for concrete paths (watched deep, as in waitFor), the detail for
+     * patterns and '*'. Changes are buffered between reads, so none are
+     * dropped. `break`, `return`, an aborted `signal` or destroy() ends the
+     * loop (discarding buffered changes) and unsubscribes.
+     * @param {string} path
+     * @param {{ signal?: AbortSignal }} [opts]
+     * @returns {AsyncIterable<any>}
+     */
+    watch(path, opts = {}) {
+      if (destroyed) throw new Error('Cannot watch destroyed store');
+      if (!path) throw new TypeError('watch requires a path');
+      const { signal } = opts;
+      const concrete = path !== '*' && !isPattern(path);
+
+      return {
+        [Symbol.asyncIterator]() {
+          const buffer = [];
+          let waiting = null;
+          let done = !!signal?.aborted;
+          const finish = () => {
+            done = true;
+            buffer.length = 0;
+            off?.();
+            off = null;
+            signal?.removeEventListener('abort', finish);
+            teardowns.delete(finish);
+            waiting?.({ value: undefined, done: true });
+            waiting = null;
+          };
+          let off = done ? null : subscribeTo(path, (arg) => {
+            if (waiting) {
+              waiting({ value: arg, done: false });
+              waiting = null;
+            } else {
+              buffer.push(arg);
+            }
+          }, { deep: concrete });
+          if (!done) {
+            signal?.addEventListener('abort', finish);
+            teardowns.add(finish);
+          }
+
+          return {
+            next() {
+              if (buffer.length) return Promise.resolve({ value: buffer.shift(), done: false });
+              if (done) return Promise.resolve({ value: undefined, done: true });
+              return new Promise((resolve) => { waiting = resolve; });
+            },
+            return() {
+              finish();
+              return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]() { return this; },
+          };
+        },
+      };
+    },
+
+    /**
+     * Deliver pending microtask/frame-scheduled notifications now.
+     */
+    flush() {
+      if (destroyed) return;
+      deliver('microtask');
+      deliver('frame');
+    },
+
     /**
      * Subscribe to changes at path
-     * @param {string} path - Path to subscribe to (supports wildcards: 'user.*', '*')
+     * @param {string} path - Path to subscribe to (supports wildcards: 'user.*', '*',
+     *   'items.*.done' for one segment, 'ui.**.error' for any number of segments)
      * @param {Function} handler - Callback function.
      *   - Exact path subscriptions: (value, meta) => void
      *   - Wildcard/global subscriptions: (meta) => void
+     * @param {Object} [opts]
+     * @param {boolean} [opts.deep=false] - Exact path only: also fire when any
+     *   descendant is written, or when an ancestor write changes this value
+     * @param {'sync'|'microtask'|'frame'} [opts.schedule] - 'sync' calls the
+     *   handler on every write (default, unless the store sets `schedule`).
+     *   'microtask' and 'frame' (requestAnimationFrame) coalesce: the handler
+     *   runs once with the latest value and a detail carrying `changes`, every
+     *   detail received since the last delivery, oldest first
      * @returns {Function} Unsubscribe function
      */
-    subscribe(path, handler) {
+    subscribe(path, handler, opts = {}) {
       if (destroyed) throw new Error('Cannot subscribe to destroyed store');
       if (!path || typeof handler !== 'function') {
         throw new TypeError('subscribe requires path and handler');
       }
+      const off = subscribeTo(path, handler, { ...opts, schedule: opts.schedule ?? schedule });
+      if (!plugins.length) return off;
+      const cleanups = runHook('onSubscribe', path, { path, handler, opts });
+      let active = true;
+      return () => {
+        if (!active) return;
+        active = false;
+        off();
+        for (const cleanup of cleanups) {
+          if (typeof cleanup === 'function') cleanup();
+        }
+      };
+    },
 
-      if (!listeners.has(path)) {
-        listeners.set(path, new Set());
+    /**
+     * Install a plugin: an object with an optional `name`, lifecycle hooks and
+     * `methods` to add to the store (an object, or a function of the store
+     * returning one; getters are kept). Hooks:
+     * - onInit(store): once installed (after its methods are added)
+     * - beforeSet(write): write middleware, see use()
+     * - afterSet(detail): after each committed write has notified subscribers
+     * - onSubscribe({ path, handler, opts }): may return a function called on unsubscribe
+     * - onBatchStart() / onBatchEnd(): around the outermost batch, setMany,
+     *   transaction commit or applyPatch, after its writes have flushed
+     * - onDestroy(store): before destroy() tears the store down
+     * Hooks other than onInit and beforeSet are isolated like listeners
+     * (errors go to onError as `plugin:<name>.<hook>`).
+     * @param {Object} plugin
+     * @returns {Object} The store
+     */
+    install(plugin) {
+      if (destroyed) throw new Error('Cannot install a plugin on destroyed store');
+      if (!plugin || typeof plugin !== 'object') throw new TypeError('install requires a plugin object');
+      const name = plugin.name ?? `plugin${plugins.length}`;
+      const added = typeof plugin.methods === 'function' ? plugin.methods(this) : plugin.methods;
+      const descriptors = Object.getOwnPropertyDescriptors(added || {});
+      for (const key of Object.keys(descriptors)) {
+        if (key in this) throw new Error(`Plugin "${name}" cannot add "${key}": the store already has it`);
       }
-      listeners.get(path).add(handler);
-
-      return () => listeners.get(path)?.delete(handler);
+      Object.defineProperties(this, descriptors);
+      if (typeof plugin.beforeSet === 'function') middlewares.push((write) => plugin.beforeSet(write));
+      plugins.push({ name, plugin });
+      plugin.onInit?.(this);
+      return this;
     },
 
     /**
@@ -276,14 +2010,35 @@ export function createEventState(initial = {}) {
      */
     destroy() {
       if (!destroyed) {
+        if (plugins.length) runHook('onDestroy', undefined, this);
         destroyed = true;
+        Array.from(teardowns).forEach(fn => fn());
+        teardowns.clear();
         batchBuffer.clear();
         asyncOps.forEach(({ controller }) => controller.abort());
         asyncOps.clear();
+        Array.from(asyncCache.keys()).forEach(dropCached);
         listeners.clear();
+        globalListeners.clear();
+        middlewares.length = 0;
+        txStack.length = 0;
+        derived.clear();
+        patchListeners.clear();
+        pending.microtask.clear();
+        pending.frame.clear();
+        dispatching.length = 0;
+        reentries.clear();
+        mounts.forEach(mount => mount.off?.());
+        mounts.clear();
+        resources.forEach(stopResource);
+        resources.clear();
+        plugins.length = 0;
       }
     }
   };
+
+  for (const plugin of initialPlugins) store.install(plugin);
+  return store;
 }
 
 export default createEventState;
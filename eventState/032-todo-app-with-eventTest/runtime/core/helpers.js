@@ -1,4 +1,6 @@
 // helpers.js
+import { stringify } from './serialize.js';
+
 export const intent = (store, name, payload = true) => store.set(`intent.${name}`, payload);
 
 export const bindIntentClicks = (root, store, payloadFromEvent) => {
@@ -30,8 +32,9 @@ export const mount = (a, b) => {
   return Object.fromEntries(entries);
 };
 
+// Dates, Maps, Sets etc. are shown through the serializer registry (serialize.js)
 export const renderJson = (el, getSnapshot) => {
-  try { el.textContent = JSON.stringify(getSnapshot(), null, 2); }
+  try { el.textContent = stringify(getSnapshot(), 2); }
   catch { el.textContent = String(getSnapshot()); }
 };
 
@@ -60,7 +63,7 @@ export const showStatePanel = (store, target) => {
     document.body.appendChild(el);
   }
   const render = () => {
-    try { el.textContent = JSON.stringify(store.get(), null, 2); }
+    try { el.textContent = stringify(store.get(), 2); }
     catch { el.textContent = String(store.get()); }
   };
   store.subscribe('*', render);
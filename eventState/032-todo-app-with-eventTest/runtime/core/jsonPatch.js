@@ -0,0 +1,186 @@
+// jsonPatch.js — RFC 6902 JSON Patch helpers for the store's change stream
+// Pointers ('/items/0/done', RFC 6901) map one-to-one onto path segments.
+// applyOps() works on a copy-on-write draft, so a failing op leaves the input
+// untouched and the caller can commit all ops or none.
+
+import { deepEqual } from './equality.js';
+import { cloneValue as clone } from './serialize.js';
+
+/** JSON Pointer for path segments ('~' and '/' escaped) */
+export function toPointer(segs) {
+  return segs.map(seg => '/' + String(seg).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+/**
+ * Split a JSON Pointer into path segments.
+ * @param {string} pointer
+ * @returns {string[]}
+ */
+export function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || pointer[0] !== '/') {
+    throw patchError(`Invalid JSON Pointer "${pointer}"`);
+  }
+  return pointer.slice(1).split('/').map(seg => seg.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function patchError(message, op, index) {
+  const err = new Error(index == null ? message : `Patch op ${index} (${op?.op} ${op?.path}): ${message}`);
+  err.name = 'PatchError';
+  err.op = op;
+  err.index = index;
+  return err;
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+// Maps are containers too: their keys are path segments like object keys
+function getChild(node, key) {
+  return node instanceof Map ? node.get(key) : node[key];
+}
+
+function setChild(node, key, value) {
+  if (node instanceof Map) node.set(key, value);
+  else node[key] = value;
+}
+
+// RFC 6901 array indexes: no leading zeros, no signs
+function arrayIndex(seg, length, allowEnd) {
+  if (allowEnd && seg === '-') return length;
+  if (!/^(0|[1-9]\d*)$/.test(seg)) return -1;
+  const idx = Number(seg);
+  return idx < length + (allowEnd ? 1 : 0) ? idx : -1;
+}
+
+/**
+ * Apply RFC 6902 operations (add, remove, replace, move, copy, test) to a
+ * copy-on-write draft of `root`. Nodes the ops do not reach keep their identity.
+ * Throws a PatchError (with `op` and `index`) on the first invalid op.
+ * @param {Object} root
+ * @param {Array<{ op: string, path: string, value?: any, from?: string }>} ops
+ * @returns {{ result: Object, touched: string[][] }} the patched root and the
+ *   shallowest segments each op changed (whole arrays for inserts/removals)
+ */
+export function applyOps(root, ops) {
+  if (!Array.isArray(ops)) throw patchError('applyPatch requires an array of operations');
+  const copied = new WeakSet();
+  const touched = [];
+  let draft = root;
+
+  const own = (node) => {
+    if (copied.has(node)) return node;
+    const copy = Array.isArray(node) ? node.slice() : node instanceof Map ? new Map(node) : { ...node };
+    copied.add(copy);
+    return copy;
+  };
+
+  const read = (segs) => {
+    let cur = draft;
+    for (const seg of segs) {
+      if (!isContainer(cur)) return { found: false };
+      if (Array.isArray(cur)) {
+        const idx = arrayIndex(seg, cur.length, false);
+        if (idx === -1) return { found: false };
+        cur = cur[idx];
+      } else if (cur instanceof Map) {
+        if (!cur.has(seg)) return { found: false };
+        cur = cur.get(seg);
+      } else {
+        if (!Object.prototype.hasOwnProperty.call(cur, seg)) return { found: false };
+        cur = cur[seg];
+      }
+    }
+    return { found: true, value: cur };
+  };
+
+  // Copy every node down to the parent of the last segment and return it
+  const parentOf = (segs, op, index) => {
+    if (!segs.length) throw patchError('the document root cannot be patched', op, index);
+    if (!isContainer(read(segs.slice(0, -1)).value)) throw patchError('parent path does not exist', op, index);
+    draft = own(draft);
+    let cur = draft;
+    for (let i = 0; i < segs.length - 1; i++) {
+      const key = Array.isArray(cur) ? Number(segs[i]) : segs[i];
+      const next = own(getChild(cur, key));
+      setChild(cur, key, next);
+      cur = next;
+    }
+    return cur;
+  };
+
+  const add = (segs, value, op, index) => {
+    const parent = parentOf(segs, op, index);
+    const key = segs[segs.length - 1];
+    if (Array.isArray(parent)) {
+      const idx = arrayIndex(key, parent.length, true);
+      if (idx === -1) throw patchError('array index out of bounds', op, index);
+      parent.splice(idx, 0, value);
+      touched.push(segs.slice(0, -1));
+    } else {
+      setChild(parent, key, value);
+      touched.push(segs);
+    }
+  };
+
+  const remove = (segs, op, index) => {
+    if (!read(segs).found) throw patchError('path does not exist', op, index);
+    const parent = parentOf(segs, op, index);
+    const key = segs[segs.length - 1];
+    if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+      touched.push(segs.slice(0, -1));
+    } else {
+      if (parent instanceof Map) parent.delete(key);
+      else delete parent[key];
+      touched.push(segs);
+    }
+  };
+
+  ops.forEach((op, index) => {
+    if (!op || typeof op !== 'object') throw patchError('operation must be an object', op, index);
+    const segs = parsePointer(op.path);
+    switch (op.op) {
+      case 'add':
+        add(segs, clone(op.value), op, index);
+        break;
+      case 'remove':
+        remove(segs, op, index);
+        break;
+      case 'replace': {
+        if (!read(segs).found) throw patchError('path does not exist', op, index);
+        const parent = parentOf(segs, op, index);
+        const key = segs[segs.length - 1];
+        setChild(parent, Array.isArray(parent) ? Number(key) : key, clone(op.value));
+        touched.push(segs);
+        break;
+      }
+      case 'move': {
+        const from = parsePointer(op.from);
+        const source = read(from);
+        if (!source.found) throw patchError('"from" path does not exist', op, index);
+        if (op.path.startsWith(op.from + '/')) throw patchError('cannot move a value into itself', op, index);
+        if (op.path === op.from) break;
+        remove(from, op, index);
+        add(segs, source.value, op, index);
+        break;
+      }
+      case 'copy': {
+        const source = read(parsePointer(op.from));
+        if (!source.found) throw patchError('"from" path does not exist', op, index);
+        add(segs, clone(source.value), op, index);
+        break;
+      }
+      case 'test': {
+        const target = read(segs);
+        if (!target.found || !deepEqual(target.value, op.value)) throw patchError('test failed', op, index);
+        break;
+      }
+      default:
+        throw patchError(`unknown op "${op.op}"`, op, index);
+    }
+  });
+
+  return { result: draft, touched };
+}
@@ -0,0 +1,179 @@
+// listenerTrie.js — path-segment trie indexing store listeners
+// Each node keeps handler sets per kind ('exact', 'deep', 'pattern', 'prefix').
+// 'prefix' holds trailing-wildcard handlers ('a.b.*') on the literal 'a.b'
+// node, so they are found by the same ancestor walk as deep handlers.
+// Wildcard segments '*' and '**' hang off `star`/`globstar` rather than the
+// literal children map, so literal walks (find/along/below) never see them.
+// Nodes are pruned as soon as their last handler is removed.
+
+function createNode(parent, key) {
+  return { parent, key, children: new Map(), star: null, globstar: null, sets: null };
+}
+
+function isEmptyNode(node) {
+  return node.children.size === 0 && !node.star && !node.globstar
+    && (!node.sets || Object.keys(node.sets).length === 0);
+}
+
+function getChild(node, seg) {
+  if (seg === '*') return node.star;
+  if (seg === '**') return node.globstar;
+  return node.children.get(seg);
+}
+
+function setChild(node, seg, child) {
+  if (seg === '*') node.star = child;
+  else if (seg === '**') node.globstar = child;
+  else if (child) node.children.set(seg, child);
+  else node.children.delete(seg);
+}
+
+// A node can be reached twice through '**', so keep results distinct
+function collect(node, segs, j, out) {
+  if (j === segs.length) {
+    if (node.sets?.pattern && !out.includes(node)) out.push(node);
+    if (node.globstar) collect(node.globstar, segs, j, out);
+    return;
+  }
+  if (node.children.size) {
+    const literal = node.children.get(segs[j]);
+    if (literal) collect(literal, segs, j + 1, out);
+  }
+  if (node.star) collect(node.star, segs, j + 1, out);
+  const many = node.globstar;
+  if (many) {
+    for (let k = j; k <= segs.length; k++) collect(many, segs, k, out);
+  }
+}
+
+export function createListenerTrie() {
+  let root = createNode(null, '');
+  const counts = { exact: 0, deep: 0, pattern: 0, prefix: 0 };
+
+  function prune(node) {
+    while (node.parent && isEmptyNode(node)) {
+      const { parent, key } = node;
+      // Nodes detached by clear() are no longer reachable from the root
+      if (getChild(parent, key) !== node) return;
+      setChild(parent, key, null);
+      node = parent;
+    }
+  }
+
+  /**
+   * Register a handler under the given segments.
+   * @param {string[]} segs
+   * @param {'exact'|'deep'|'pattern'|'prefix'} kind
+   * @param {Function} handler
+   * @returns {Function} remove function (idempotent)
+   */
+  function add(segs, kind, handler) {
+    let node = root;
+    for (const seg of segs) {
+      let child = getChild(node, seg);
+      if (!child) {
+        child = createNode(node, seg);
+        setChild(node, seg, child);
+      }
+      node = child;
+    }
+    node.sets ||= {};
+    const set = (node.sets[kind] ||= new Set());
+    if (!set.has(handler)) {
+      set.add(handler);
+      counts[kind]++;
+    }
+
+    return () => {
+      if (!set.delete(handler)) return;
+      counts[kind]--;
+      if (set.size === 0 && node.sets[kind] === set) delete node.sets[kind];
+      prune(node);
+    };
+  }
+
+  /** Literal node for the segments, or null */
+  function find(segs) {
+    let node = root;
+    for (const seg of segs) {
+      node = node.children.get(seg);
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  /**
+   * Visit `kind` handlers on each literal node from the first segment down to
+   * the last one (inclusive). fn(set, depth) where depth is the segment count.
+   */
+  function along(segs, kind, fn) {
+    let node = root;
+    for (let i = 0; i < segs.length; i++) {
+      node = node.children.get(segs[i]);
+      if (!node) return;
+      const set = node.sets?.[kind];
+      if (set) fn(set, i + 1);
+    }
+  }
+
+  /**
+   * Visit `kind` handlers strictly below a node, literal children only.
+   * fn(set, relSegs) where relSegs is the path relative to the node.
+   */
+  function below(node, kind, fn, rel = []) {
+    for (const [key, child] of node.children) {
+      const next = [...rel, key];
+      const set = child.sets?.[kind];
+      if (set) fn(set, next);
+      if (child.children.size) below(child, kind, fn, next);
+    }
+  }
+
+  /**
+   * Collect pattern handler sets whose pattern matches the segments.
+   * '*' consumes one segment, '**' zero or more.
+   * @param {string[]} segs
+   * @returns {Array<Set<Function>>} distinct sets
+   */
+  function match(segs) {
+    return matchNodes(segs).map(node => node.sets.pattern);
+  }
+
+  /** Like match(), but returns the nodes (see pathOf) */
+  function matchNodes(segs) {
+    const out = [];
+    collect(root, segs, 0, out);
+    return out;
+  }
+
+  /** Segments a node was registered under */
+  function pathOf(node) {
+    const segs = [];
+    for (let n = node; n.parent; n = n.parent) segs.unshift(n.key);
+    return segs;
+  }
+
+  function clear() {
+    root = createNode(null, '');
+    counts.exact = counts.deep = counts.pattern = counts.prefix = 0;
+  }
+
+  return {
+    add, find, along, below, match, matchNodes, pathOf, clear,
+    /** Live handler counts per kind */
+    counts,
+    /** Number of nodes currently in the trie (root excluded) */
+    get nodeCount() {
+      let n = 0;
+      const walk = (node) => {
+        for (const child of [...node.children.values(), node.star, node.globstar]) {
+          if (child) { n++; walk(child); }
+        }
+      };
+      walk(root);
+      return n;
+    },
+  };
+}
+
+export default createListenerTrie;
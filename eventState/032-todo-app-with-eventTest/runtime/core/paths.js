@@ -0,0 +1,163 @@
+// paths.js — path parsing and pattern helpers shared by the store, hydrate
+// helpers and the behaviors runtime.
+// Paths are dot-separated with optional brackets: 'items[3].done' is the same
+// as 'items.3.done', and quoted keys may contain dots: 'config["api.url"]'.
+// Patterns: '*' matches exactly one segment and '**' matches zero or more
+// segments (e.g. 'ui.**.error', 'forms.*.meta.dirty', 'items[*].done').
+
+/**
+ * Split a path into segments.
+ * @param {string} path
+ * @returns {string[]}
+ */
+export function parsePath(path){
+  const str = String(path);
+  if (!str.includes('[')) return str.split('.');
+
+  const segs = [];
+  let cur = '';
+  let afterBracket = false;
+  let i = 0;
+  const fail = () => { throw new TypeError(`Invalid path "${str}"`); };
+
+  while (i < str.length){
+    const ch = str[i];
+    if (ch === '['){
+      if (cur !== '') segs.push(cur);
+      cur = '';
+      i++;
+      const quote = str[i];
+      if (quote === '"' || quote === "'"){
+        let key = '';
+        i++;
+        while (i < str.length && str[i] !== quote){
+          if (str[i] === '\\' && i + 1 < str.length) i++;
+          key += str[i++];
+        }
+        if (str[i] !== quote || str[i + 1] !== ']') fail();
+        segs.push(key);
+        i += 2;
+      } else {
+        const end = str.indexOf(']', i);
+        if (end === -1) fail();
+        const inner = str.slice(i, end).trim();
+        if (!/^(\d+|\*{1,2})$/.test(inner)) fail();
+        segs.push(inner);
+        i = end + 1;
+      }
+      afterBracket = true;
+    } else if (ch === '.'){
+      if (!afterBracket) segs.push(cur);
+      cur = '';
+      afterBracket = false;
+      i++;
+    } else {
+      if (afterBracket) fail();
+      cur += ch;
+      i++;
+    }
+  }
+  if (!afterBracket) segs.push(cur);
+  return segs;
+}
+
+/** True for segments that address an array element */
+export function isIndex(seg){
+  return /^\d+$/.test(seg);
+}
+
+/** True when `segs` is `prefix` or lies below it */
+export function startsWith(segs, prefix){
+  return prefix.length <= segs.length && prefix.every((seg, i) => seg === segs[i]);
+}
+
+/**
+ * Walk `segs` into a value (own keys and Map keys only).
+ * @param {any} value
+ * @param {string[]} segs
+ * @returns {{ found: boolean, value?: any }}
+ */
+export function readSegments(value, segs){
+  let cur = value;
+  for (const seg of segs){
+    if (cur === null || typeof cur !== 'object') return { found: false };
+    if (cur instanceof Map){
+      if (!cur.has(seg)) return { found: false };
+      cur = cur.get(seg);
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(cur, seg)) return { found: false };
+      cur = cur[seg];
+    }
+  }
+  return { found: true, value: cur };
+}
+
+function needsQuotes(seg){
+  return /[.[\]"']/.test(seg);
+}
+
+/**
+ * Join segments back into a path string; keys that contain dots, brackets or
+ * quotes are written as ["..."].
+ * @param {string[]} segs
+ * @returns {string}
+ */
+export function formatPath(segs){
+  let out = '';
+  segs.forEach((seg, i) => {
+    if (needsQuotes(seg)) out += `[${JSON.stringify(seg)}]`;
+    else out += (i ? '.' : '') + seg;
+  });
+  return out;
+}
+
+/** Append one key to a path, quoting it when needed */
+export function joinPath(prefix, key){
+  const k = String(key);
+  if (needsQuotes(k)) return `${prefix || ''}[${JSON.stringify(k)}]`;
+  return prefix ? `${prefix}.${k}` : k;
+}
+
+/** Canonical form of a path (bracket indexes become dotted) */
+export function normalizePath(path){
+  const str = String(path);
+  return str.includes('[') ? formatPath(parsePath(str)) : str;
+}
+
+/** True when the path contains a wildcard segment */
+export function isPattern(path){
+  return parsePath(path).some(seg => seg === '*' || seg === '**');
+}
+
+/**
+ * Match pre-split pattern segments against pre-split path segments.
+ * @param {string[]} pat
+ * @param {string[]} segs
+ * @param {number} [i] - pattern offset
+ * @param {number} [j] - path offset
+ * @returns {boolean}
+ */
+export function matchSegments(pat, segs, i = 0, j = 0){
+  while (i < pat.length){
+    const part = pat[i];
+    if (part === '**'){
+      // Collapse runs of '**' and try every possible split point
+      while (i + 1 < pat.length && pat[i + 1] === '**') i++;
+      if (i === pat.length - 1) return true;
+      for (let k = j; k <= segs.length; k++){
+        if (matchSegments(pat, segs, i + 1, k)) return true;
+      }
+      return false;
+    }
+    if (j >= segs.length) return false;
+    if (part !== '*' && part !== segs[j]) return false;
+    i++; j++;
+  }
+  return j === segs.length;
+}
+
+/** Match a pattern string against a concrete path string */
+export function matchPattern(pattern, path){
+  if (pattern === path) return true;
+  return matchSegments(parsePath(pattern), parsePath(path));
+}
@@ -0,0 +1,180 @@
+// serialize.js — cloning and JSON text for state that is not plain JSON
+// The store holds Dates, Maps, Sets, typed arrays and `undefined` as-is
+// (cloneValue). Anything that has to become text (persistence, telemetry,
+// renderJson, the state tracker) goes through a serializer registry: each
+// entry tags a value as { $type: name, value } and restores it on parse.
+// Plain objects that happen to carry a `$type` key of a registered name are
+// read back as that type, so avoid the key in state.
+
+const TAG = '$type';
+
+/**
+ * Deep copy, node by node. Dates, Maps, Sets, typed arrays and RegExps are
+ * copied as their own type; class instances keep their prototype (own
+ * enumerable fields are copied, #private fields are not). Other built-ins
+ * (Error, Blob...) go through structuredClone, and a value it refuses
+ * (a function, a DOM node) is kept by reference instead of failing the copy.
+ * Shared and circular references are preserved.
+ */
+export function cloneValue(value, seen = new Map()) {
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return seen.get(value);
+  let copy;
+  if (value instanceof Date) copy = new Date(value.getTime());
+  else if (value instanceof RegExp) copy = new RegExp(value.source, value.flags);
+  else if (ArrayBuffer.isView(value)) copy = value.slice ? value.slice() : new DataView(value.buffer.slice(0));
+  else if (value instanceof Map) {
+    copy = new Map();
+    seen.set(value, copy);
+    value.forEach((v, k) => copy.set(k, cloneValue(v, seen)));
+    return copy;
+  } else if (value instanceof Set) {
+    copy = new Set();
+    seen.set(value, copy);
+    value.forEach(v => copy.add(cloneValue(v, seen)));
+    return copy;
+  } else if (Array.isArray(value)) {
+    copy = new Array(value.length);
+    seen.set(value, copy);
+    for (let i = 0; i < value.length; i++) copy[i] = cloneValue(value[i], seen);
+    return copy;
+  } else if (Object.prototype.toString.call(value) === '[object Object]') {
+    copy = Object.create(Object.getPrototypeOf(value));
+    seen.set(value, copy);
+    for (const key of Object.keys(value)) copy[key] = cloneValue(value[key], seen);
+    return copy;
+  } else {
+    try {
+      copy = structuredClone(value);
+    } catch {
+      copy = value;
+    }
+  }
+  seen.set(value, copy);
+  return copy;
+}
+
+const TYPED_ARRAYS = [
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+].filter(name => typeof globalThis[name] === 'function');
+
+function builtins() {
+  return [
+    { name: 'undefined', test: v => v === undefined, serialize: () => null, deserialize: () => undefined },
+    { name: 'Date', test: v => v instanceof Date, serialize: v => v.toISOString(), deserialize: s => new Date(s) },
+    { name: 'BigInt', test: v => typeof v === 'bigint', serialize: v => v.toString(), deserialize: s => BigInt(s) },
+    { name: 'Map', test: v => v instanceof Map, serialize: v => Array.from(v.entries()), deserialize: e => new Map(e) },
+    { name: 'Set', test: v => v instanceof Set, serialize: v => Array.from(v), deserialize: a => new Set(a) },
+    ...TYPED_ARRAYS.map(name => ({
+      name,
+      test: v => v instanceof globalThis[name],
+      serialize: v => Array.from(v, x => (typeof x === 'bigint' ? x.toString() : x)),
+      deserialize: a => globalThis[name].from(a, x => (name.startsWith('Big') ? BigInt(x) : x)),
+    })),
+  ];
+}
+
+/**
+ * Create an independent registry seeded with the built-in types.
+ * @returns {{
+ *   register: (entry: { name: string, test: (v:any)=>boolean, serialize: (v:any)=>any, deserialize: (data:any)=>any }) => (() => void),
+ *   stringify: (value:any, space?: number|string) => string,
+ *   parse: (text: string) => any,
+ *   encode: (value:any) => any,
+ *   decode: (data:any) => any,
+ * }}
+ */
+export function createSerializer() {
+  const entries = builtins();
+
+  // Later registrations win, so apps can override a built-in
+  const find = (value) => {
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].test(value)) return entries[i];
+    }
+    return null;
+  };
+  const byName = (name) => {
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].name === name) return entries[i];
+    }
+    return null;
+  };
+
+  // JSON.stringify calls toJSON (Date) before the replacer, so look at the holder
+  function replacer(key, value) {
+    const raw = this[key];
+    const entry = (raw !== null && typeof raw === 'object') || typeof raw === 'bigint' || raw === undefined
+      ? find(raw)
+      : null;
+    if (!entry) return value;
+    return { [TAG]: entry.name, value: entry.serialize(raw) };
+  }
+
+  function reviver(key, value) {
+    if (value && typeof value === 'object' && typeof value[TAG] === 'string' && 'value' in value) {
+      const entry = byName(value[TAG]);
+      if (entry) return entry.deserialize(value.value);
+    }
+    return value;
+  }
+
+  function stringify(value, space) {
+    return JSON.stringify(value, replacer, space);
+  }
+
+  function parse(text) {
+    // JSON.parse drops keys whose reviver result is undefined, so tagged
+    // undefined values come back as a marker that a second pass resolves
+    return restoreUndefined(JSON.parse(text, (key, value) => {
+      const out = reviver(key, value);
+      return out === undefined && value !== undefined ? UNDEFINED : out;
+    }));
+  }
+
+  return {
+    register(entry) {
+      if (!entry?.name || typeof entry.test !== 'function'
+        || typeof entry.serialize !== 'function' || typeof entry.deserialize !== 'function') {
+        throw new TypeError('register requires { name, test, serialize, deserialize }');
+      }
+      entries.push(entry);
+      return () => {
+        const i = entries.indexOf(entry);
+        if (i !== -1) entries.splice(i, 1);
+      };
+    },
+    stringify,
+    parse,
+    /** JSON-safe structure (tagged), e.g. for storage that takes objects */
+    encode(value) {
+      const text = stringify(value);
+      return text === undefined ? undefined : JSON.parse(text);
+    },
+    decode(data) {
+      return parse(JSON.stringify(data));
+    },
+  };
+}
+
+const UNDEFINED = { [TAG]: 'undefined' };
+
+function restoreUndefined(value) {
+  if (value === UNDEFINED) return undefined;
+  if (Array.isArray(value)) {
+    value.forEach((v, i) => { value[i] = restoreUndefined(v); });
+  } else if (value instanceof Map) {
+    value.forEach((v, k) => value.set(k, restoreUndefined(v)));
+  } else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    for (const k of Object.keys(value)) value[k] = restoreUndefined(value[k]);
+  }
+  return value;
+}
+
+/** Shared registry used by the runtime and devtools */
+export const serializer = createSerializer();
+
+export const registerSerializer = (entry) => serializer.register(entry);
+export const stringify = (value, space) => serializer.stringify(value, space);
+export const parse = (text) => serializer.parse(text);
@@ -1,5 +1,8 @@
 // converge.js — last-write-wins (or last-local-wins) convergence helpers
-// Expects a store with get/set APIs.
+// Expects a store with get/set APIs (applyConvergePatch also needs batch/applyPatch).
+
+import { formatPath } from '../core/paths.js';
+import { parsePointer } from '../core/jsonPatch.js';
 
 function pathKey(path) {
   return String(path || '');
@@ -61,3 +64,29 @@ export function publishChange(store, path, value, { clocksPath = 'clocks', now =
   store.set(`${clocksPath}.${pathKey(path)}`, clock);
   return { path, value, clock, origin };
 }
+
+/**
+ * Apply an inbound RFC 6902 patch (e.g. from `store.onPatch` in another tab)
+ * stamped with one clock. Ops whose path is not newer than its local clock
+ * are dropped; the rest go through one `applyPatch` and their clocks are
+ * updated in the same batch. If the patch is rejected, no clock moves.
+ * @param {any} store
+ * @param {{ ops: Array<{ op: string, path: string, value?: any }>, clock: number }} change
+ * @param {{ clocksPath?: string }} opts
+ * @returns {Array<Object>} the ops that were applied
+ */
+export function applyConvergePatch(store, change, opts = {}) {
+  const { ops, clock } = change || {};
+  if (!Array.isArray(ops)) return [];
+  const { clocksPath = 'clocks' } = opts;
+
+  const keyed = ops.map((op) => ({ op, ck: pathKey(formatPath(parsePointer(op.path))) }));
+  const accepted = keyed.filter(({ ck }) => clock > (store.get(`${clocksPath}.${ck}`) || 0));
+  if (!accepted.length) return [];
+
+  store.batch(() => {
+    store.applyPatch(accepted.map(({ op }) => op));
+    for (const { ck } of accepted) store.set(`${clocksPath}.${ck}`, clock);
+  });
+  return accepted.map(({ op }) => op);
+}
@@ -0,0 +1,164 @@
+// history.js — undo/redo as a store plugin
+// Usage:
+//   import { history } from './history.js';
+//   const store = createEventState(initial, {
+//     plugins: [history({ paths: ['domain.todos'], statePath: 'ui.history', limit: 50, groupMs: 300 })],
+//   });
+//   store.undo(); store.redo(); store.clearHistory();
+//   <button data-on="click: undo()" data-bind="disabled: !ui.history.canUndo">Undo</button>
+//   (registry: { undo: ({ store }) => store.undo(), redo: ({ store }) => store.redo() })
+// Notes:
+// - A step is everything one batch, setMany, transaction or applyPatch
+//   committed, or a single write; writes closer than `groupMs` to the
+//   previous step join it. New writes after an undo drop the redo steps.
+// - Only writes at or below `paths` are recorded (everything when omitted);
+//   a write above a tracked path records just the part under it.
+// - `statePath` gets { canUndo, canRedo, undoCount, redoCount }, written
+//   leaf by leaf so exact subscribers (data-bind) see each flag change.
+// - Undo/redo writes go through set/delete with source 'history', in a batch.
+
+import { parsePath, formatPath, isIndex, startsWith, readSegments } from '../core/paths.js';
+import { cloneValue } from '../core/serialize.js';
+
+/**
+ * History plugin: adds undo(), redo() and clearHistory() to the store.
+ * @param {{ paths?: string[], statePath?: string, limit?: number, groupMs?: number }} [opts]
+ *   limit caps the undo steps kept (oldest dropped first)
+ * @returns {Object} plugin for createEventState({ plugins }) or store.install()
+ */
+export function history({ paths, statePath = 'ui.history', limit = 100, groupMs = 0 } = {}){
+  const tracked = paths ? paths.map(p => parsePath(p)) : [[]];
+  const ownSegs = parsePath(statePath);
+  const undoStack = [];
+  const redoStack = [];
+  let store = null;
+  let batchGroup = null;
+  let restoring = false;
+  let lastAt = -Infinity;
+
+  // Entries { path, value, oldValue, deleted } a committed write contributes
+  function entriesFor(detail){
+    const segs = parsePath(detail.path);
+    if (startsWith(segs, ownSegs)) return [];
+    const out = [];
+    for (const prefix of tracked){
+      if (startsWith(segs, prefix)){
+        out.push(arrayRemoval(detail, segs, prefix) || { path: detail.path, value: detail.value, oldValue: detail.oldValue, deleted: !!detail.deleted });
+        break;
+      }
+      if (startsWith(prefix, segs)){
+        const rel = prefix.slice(segs.length);
+        const value = readSegments(detail.value, rel).value;
+        const oldValue = readSegments(detail.oldValue, rel).value;
+        if (!Object.is(value, oldValue)) out.push({ path: formatPath(prefix), value, oldValue, deleted: value === undefined });
+      }
+    }
+    return out.map(e => ({ ...e, value: cloneValue(e.value), oldValue: cloneValue(e.oldValue) }));
+  }
+
+  // Deleting an array element splices it out, so replaying the delete or
+  // restoring the element by index would shift its siblings. Record the whole
+  // array before and after instead (when the array itself is tracked).
+  function arrayRemoval(detail, segs, prefix){
+    if (!detail.deleted || !isIndex(segs[segs.length - 1]) || segs.length - 1 < prefix.length) return null;
+    const arrayPath = formatPath(segs.slice(0, -1));
+    const after = store.get(arrayPath);
+    if (!Array.isArray(after)) return null;
+    const before = after.slice();
+    before.splice(Number(segs[segs.length - 1]), 0, detail.oldValue);
+    return { path: arrayPath, value: after, oldValue: before, deleted: false };
+  }
+
+  function publish(){
+    const next = {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      undoCount: undoStack.length,
+      redoCount: redoStack.length,
+    };
+    for (const [key, value] of Object.entries(next)){
+      const path = `${statePath}.${key}`;
+      if (store.get(path) !== value) store.set(path, value, { source: 'history' });
+    }
+  }
+
+  function pushStep(entries){
+    const now = Date.now();
+    const last = undoStack[undoStack.length - 1];
+    if (groupMs > 0 && last && !redoStack.length && now - lastAt < groupMs) last.push(...entries);
+    else undoStack.push(entries);
+    lastAt = now;
+    redoStack.length = 0;
+    if (undoStack.length > limit) undoStack.splice(0, undoStack.length - limit);
+    publish();
+  }
+
+  function apply(step, forward){
+    restoring = true;
+    try {
+      store.batch(() => {
+        const ordered = forward ? step : step.slice().reverse();
+        for (const entry of ordered){
+          const gone = forward ? entry.deleted : entry.oldValue === undefined;
+          if (gone) store.delete(entry.path, { source: 'history' });
+          else store.set(entry.path, cloneValue(forward ? entry.value : entry.oldValue), { source: 'history' });
+        }
+      });
+    } finally {
+      restoring = false;
+    }
+    // Steps never merge across an undo/redo
+    lastAt = -Infinity;
+    publish();
+  }
+
+  return {
+    name: 'history',
+    methods: {
+      /** Revert the last step; false when there is none */
+      undo(){
+        const step = undoStack.pop();
+        if (!step) return false;
+        redoStack.push(step);
+        apply(step, false);
+        return true;
+      },
+      /** Re-apply the last undone step; false when there is none */
+      redo(){
+        const step = redoStack.pop();
+        if (!step) return false;
+        undoStack.push(step);
+        apply(step, true);
+        return true;
+      },
+      /** Forget all steps */
+      clearHistory(){
+        undoStack.length = 0;
+        redoStack.length = 0;
+        lastAt = -Infinity;
+        publish();
+      },
+    },
+    onInit(s){
+      store = s;
+      publish();
+    },
+    onBatchStart(){
+      if (!restoring) batchGroup = [];
+    },
+    afterSet(detail){
+      if (restoring) return;
+      const entries = entriesFor(detail);
+      if (!entries.length) return;
+      if (batchGroup) batchGroup.push(...entries);
+      else pushStep(entries);
+    },
+    onBatchEnd(){
+      const group = batchGroup;
+      batchGroup = null;
+      if (group?.length) pushStep(group);
+    },
+  };
+}
+
+export default history;
@@ -4,12 +4,19 @@
 //   - store.get(path: string): any
 //   - store.set(path: string, value: any): void
 // Options are defensive and production-oriented but remain tiny.
+// Payload keys that contain dots are written as quoted segments (a["b.c"]).
+// Only plain objects are merged key by key; Dates, Maps, Sets, typed arrays and
+// class instances are written whole, like any other leaf.
+
+import { joinPath, formatPath } from '../core/paths.js';
+import { parsePointer } from '../core/jsonPatch.js';
 
 /**
  * @typedef {Object} Store
  * @property {(path:string)=>any} get
  * @property {(path:string, value:any)=>void} set
  * @property {(path:string, fn:(v:any)=>void)=>(()=>void)=} subscribe
+ * @property {(path:string)=>void=} delete
  */
 
 /**
@@ -26,9 +33,21 @@ export function withBatch(store, fn) {
   return fn();
 }
 
+// Remove a key; stores without delete() get an undefined write instead
+function removePath(store, path) {
+  if (typeof store.delete === 'function') store.delete(path);
+  else store.set(path, undefined);
+}
+
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
 function inWhitelist(path, whitelistPaths) {
   if (!whitelistPaths || whitelistPaths.length === 0) return true;
-  return whitelistPaths.some((p) => path === p || path.startsWith(p + '.'));
+  return whitelistPaths.some((p) => path === p || path.startsWith(p + '.') || path.startsWith(p + '['));
 }
 
 /**
@@ -45,8 +64,9 @@ export function hydrateReplace(store, payload, opts = {}) {
   const { whitelistPaths, batch } = opts;
   const apply = () => {
     for (const [k, v] of Object.entries(payload || {})) {
-      if (!inWhitelist(k, whitelistPaths)) continue;
-      store.set(k, v);
+      const path = joinPath('', k);
+      if (!inWhitelist(path, whitelistPaths)) continue;
+      store.set(path, v);
     }
   };
   return batch ? withBatch(store, apply) : apply();
@@ -58,6 +78,8 @@ export function hydrateReplace(store, payload, opts = {}) {
  * Arrays: `replace` (default) or `keyedMerge` by a `keyField` (default: `id`).
  * Conflicts: optional `onConflict(path, prev, next)` on leaf writes.
  * Version: optional guard to avoid stale apply via `version` + `getVersion()`.
+ * Dropped fields: with `deleteMissing`, keys of a local object that the
+ * payload object no longer has are removed via `store.delete`.
  *
  * @param {Store} store
  * @param {string} root - Path prefix to merge under (e.g., 'demo')
@@ -70,6 +92,7 @@ export function hydrateReplace(store, payload, opts = {}) {
  * @param {number} [opts.version]
  * @param {()=>number} [opts.getVersion]
  * @param {boolean} [opts.batch]
+ * @param {boolean} [opts.deleteMissing] - Remove local keys absent from payload objects
  * @returns {void}
  */
 export function hydrateMerge(store, root, payload, opts = {}) {
@@ -81,6 +104,7 @@ export function hydrateMerge(store, root, payload, opts = {}) {
     version,
     getVersion,
     batch,
+    deleteMissing = false,
   } = opts;
 
   if (version != null && typeof getVersion === 'function') {
@@ -142,9 +166,18 @@ export function hydrateMerge(store, root, payload, opts = {}) {
       mergeArray(prefix, value);
       return;
     }
-    if (value && typeof value === 'object') {
+    if (isPlainObject(value)) {
+      if (deleteMissing) {
+        const local = prefix ? store.get(prefix) : store.get();
+        if (isPlainObject(local)) {
+          for (const k of Object.keys(local)) {
+            const path = joinPath(prefix, k);
+            if (!(k in value) && inWhitelist(path, whitelistPaths)) removePath(store, path);
+          }
+        }
+      }
       for (const [k, v] of Object.entries(value)) {
-        const path = prefix ? `${prefix}.${k}` : k;
+        const path = joinPath(prefix, k);
         recurse(path, v);
       }
     } else {
@@ -155,3 +188,39 @@ export function hydrateMerge(store, root, payload, opts = {}) {
   const apply = () => recurse(root || '', payload);
   return batch ? withBatch(store, apply) : apply();
 }
+
+/**
+ * Apply RFC 6902 operations (e.g. from another store's `onPatch`).
+ * Ops whose path or `from` falls outside `whitelistPaths` are dropped.
+ * Stores with `applyPatch` apply the rest atomically; others get plain
+ * set/delete calls for add/replace/remove (move/copy/test are not supported).
+ *
+ * @param {Store & { applyPatch?: (ops:any[])=>void }} store
+ * @param {Array<{ op: string, path: string, value?: any, from?: string }>} ops
+ * @param {Object} [opts]
+ * @param {string[]} [opts.whitelistPaths]
+ * @param {boolean} [opts.batch]
+ * @returns {Array<Object>} the ops that were applied
+ */
+export function hydratePatch(store, ops, opts = {}) {
+  const { whitelistPaths, batch } = opts;
+  const allowed = (ops || []).filter((op) => (
+    inWhitelist(formatPath(parsePointer(op.path)), whitelistPaths)
+    && (op.from == null || inWhitelist(formatPath(parsePointer(op.from)), whitelistPaths))
+  ));
+  if (typeof store.applyPatch === 'function') {
+    store.applyPatch(allowed);
+    return allowed;
+  }
+  const apply = () => {
+    for (const op of allowed) {
+      const path = formatPath(parsePointer(op.path));
+      if (op.op === 'remove') removePath(store, path);
+      else if (op.op === 'add' || op.op === 'replace') store.set(path, op.value);
+      else throw new Error(`hydratePatch: "${op.op}" requires store.applyPatch`);
+    }
+  };
+  if (batch) withBatch(store, apply);
+  else apply();
+  return allowed;
+}
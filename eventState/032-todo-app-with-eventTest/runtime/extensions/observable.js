@@ -0,0 +1,110 @@
+// observable.js — reactive interop for store paths
+// Usage:
+//   import { toObservable, toSvelteStore, fromObservable } from './observable.js';
+//   from(toObservable(store, 'cart.total')).pipe(...)        // RxJS
+//   const filter = toSvelteStore(store, 'ui.todos.filter');  // $filter in Svelte
+//   const stop = fromObservable(store, 'ui.online', online$);
+// Notes:
+// - Concrete paths emit the path's current value and are watched deep, so
+//   writes above or below the path are seen too. Patterns and '*' emit the
+//   change detail, like subscribe().
+// - Built only on store.get/set/subscribe.
+
+import { isPattern } from '../core/paths.js';
+
+export const $$observable = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+function isConcrete(path){
+  return path !== '*' && !isPattern(path);
+}
+
+/**
+ * Expose a path as a TC39 Observable (Symbol.observable / '@@observable'),
+ * consumable by RxJS `from()` and other libraries. Concrete paths emit the
+ * current value on subscribe, then every change.
+ * @param {{ get: Function, subscribe: Function }} store
+ * @param {string} path
+ * @param {{ immediate?: boolean }} [opts] - immediate=false skips the initial value
+ * @returns {{ subscribe: Function }}
+ */
+export function toObservable(store, path, { immediate = true } = {}){
+  if (!path) throw new Error('toObservable: `path` is required');
+  const concrete = isConcrete(path);
+  const observable = {
+    subscribe(observerOrNext, error, complete){
+      const observer = typeof observerOrNext === 'function'
+        ? { next: observerOrNext, error, complete }
+        : (observerOrNext || {});
+      let closed = false;
+      let off = null;
+      const subscription = {
+        unsubscribe(){
+          if (closed) return;
+          closed = true;
+          off?.();
+        },
+        get closed(){ return closed; },
+      };
+      observer.start?.(subscription);
+      if (closed) return subscription;
+      if (concrete && immediate) observer.next?.(store.get(path));
+      if (!closed) off = store.subscribe(path, (arg) => { if (!closed) observer.next?.(arg); }, { deep: concrete });
+      return subscription;
+    },
+    [$$observable](){ return observable; },
+  };
+  return observable;
+}
+
+/**
+ * Expose a path as a Svelte store: subscribe(run) calls run with the current
+ * value right away and on every change, and returns an unsubscribe function.
+ * set/update write through to the path, so it also works as a writable store.
+ * @param {{ get: Function, set: Function, subscribe: Function }} store
+ * @param {string} path - A concrete path
+ * @returns {{ subscribe: (run:(v:any)=>void)=>(()=>void), set: (v:any)=>void, update: (fn:(v:any)=>any)=>void }}
+ */
+export function toSvelteStore(store, path){
+  if (!path || !isConcrete(path)) throw new Error('toSvelteStore: a concrete `path` is required');
+  return {
+    subscribe(run){
+      run(store.get(path));
+      return store.subscribe(path, (value) => run(value), { deep: true });
+    },
+    set(value){ store.set(path, value); },
+    update(fn){ store.set(path, fn(store.get(path))); },
+  };
+}
+
+/**
+ * Write every value of an external source into a path. Accepts anything
+ * with Symbol.observable / '@@observable' (RxJS, TC39), or a plain
+ * subscribe(fn) source such as a Svelte store. Writes use source 'observable'.
+ * @param {{ set: Function }} store
+ * @param {string} path
+ * @param {any} source
+ * @param {{ map?: (v:any)=>any, onError?: (err:any)=>void, onComplete?: ()=>void }} [opts]
+ * @returns {() => void} stop function (unsubscribes from the source)
+ */
+export function fromObservable(store, path, source, { map, onError, onComplete } = {}){
+  if (!path) throw new Error('fromObservable: `path` is required');
+  const write = (value) => store.set(path, map ? map(value) : value, { source: 'observable' });
+
+  let subscription;
+  if (source && typeof source[$$observable] === 'function'){
+    subscription = source[$$observable]().subscribe({
+      next: write,
+      error: (err) => { if (onError) onError(err); else console.error(`[fromObservable] ${path}:`, err); },
+      complete: () => { onComplete?.(); },
+    });
+  } else if (source && typeof source.subscribe === 'function'){
+    subscription = source.subscribe(write);
+  } else {
+    throw new TypeError('fromObservable: source must be an Observable or have subscribe()');
+  }
+
+  return () => {
+    if (typeof subscription === 'function') subscription();
+    else subscription?.unsubscribe?.();
+  };
+}
@@ -0,0 +1,205 @@
+// persist.js — save selected subtrees to storage and rehydrate them on load
+// Usage:
+//   import { persist } from './persist.js';
+//   const saved = persist(store, {
+//     paths: ['domain.todos', 'ui.todos.filter'],
+//     key: 'todo-app', version: 2,
+//     migrate: (state, from) => (from === 1 ? { ...state, ui: { todos: { filter: 'all' } } } : state),
+//   });
+//   await saved.ready;   // hydrated; later changes are saved (throttled)
+// Notes:
+// - Storage is 'local' (default), 'session', 'indexedDB', 'memory', or any
+//   { getItem, setItem, removeItem } object (sync or async).
+// - The saved text is { version, state } through the serializer registry
+//   (serialize.js), so Dates, Maps and Sets survive; `state` holds only the
+//   persisted subtrees, nested as in the store.
+// - Rehydration merges with hydrateMerge (whitelisted to `paths`), so keys
+//   the saved state lacks keep their initial values.
+// - A saved version other than `version` goes through migrate(state,
+//   oldVersion); without migrate (or when it returns undefined) it is dropped.
+
+import { parsePath } from '../core/paths.js';
+import { serializer as defaultSerializer } from '../core/serialize.js';
+import { hydrateMerge } from './hydrate.js';
+
+/**
+ * In-memory storage (Node tests, SSR). `data` is the backing Map.
+ * @param {Record<string, string>} [initial]
+ */
+export function memoryStorage(initial = {}){
+  const data = new Map(Object.entries(initial));
+  return {
+    data,
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => { data.set(key, String(value)); },
+    removeItem: (key) => { data.delete(key); },
+  };
+}
+
+/**
+ * localStorage / sessionStorage (or any Web Storage object).
+ * @param {'local'|'session'|Storage} [which='local']
+ */
+export function webStorage(which = 'local'){
+  const storage = typeof which === 'string' ? globalThis[`${which}Storage`] : which;
+  if (!storage) throw new Error(`webStorage: ${which}Storage is not available here`);
+  return {
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: (key) => storage.removeItem(key),
+  };
+}
+
+/**
+ * IndexedDB storage: one object store, values kept as strings.
+ * @param {{ dbName?: string, storeName?: string }} [opts]
+ */
+export function indexedDBStorage({ dbName = 'eventState', storeName = 'persist' } = {}){
+  if (typeof indexedDB === 'undefined') throw new Error('indexedDBStorage: indexedDB is not available here');
+  let opening = null;
+  const open = () => (opening ||= new Promise((resolve, reject) => {
+    const req = indexedDB.open(dbName, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+  const run = (mode, fn) => open().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+  return {
+    getItem: (key) => run('readonly', s => s.get(key)).then(v => v ?? null),
+    setItem: (key, value) => run('readwrite', s => s.put(value, key)).then(() => {}),
+    removeItem: (key) => run('readwrite', s => s.delete(key)).then(() => {}),
+  };
+}
+
+function resolveStorage(storage){
+  if (storage === 'memory') return memoryStorage();
+  if (storage === 'local' || storage === 'session') return webStorage(storage);
+  if (storage === 'indexedDB') return indexedDBStorage();
+  if (storage && typeof storage.getItem === 'function' && typeof storage.setItem === 'function') return storage;
+  throw new TypeError(`persist: unknown storage "${storage}"`);
+}
+
+// Nest each path's current value into a fresh object shaped like the store
+function pick(store, paths){
+  const out = {};
+  for (const path of paths){
+    const value = store.get(path);
+    if (value === undefined) continue;
+    const segs = parsePath(path);
+    let node = out;
+    segs.slice(0, -1).forEach(seg => { node = (node[seg] ??= {}); });
+    node[segs[segs.length - 1]] = value;
+  }
+  return out;
+}
+
+/**
+ * Persist `paths` of a store and rehydrate them from storage.
+ * @param {{ get: Function, set: Function, subscribe: Function, batch?: Function, install?: Function }} store
+ * @param {Object} opts
+ * @param {string[]} opts.paths - Subtrees to save (concrete paths)
+ * @param {'local'|'session'|'indexedDB'|'memory'|{ getItem: Function, setItem: Function, removeItem?: Function }} [opts.storage='local']
+ * @param {string} [opts.key='eventState'] - Storage key
+ * @param {number} [opts.version=1]
+ * @param {(state: Object, oldVersion: number) => Object|Promise<Object>} [opts.migrate]
+ * @param {number} [opts.throttleMs=250] - Save at most this often (0 saves on every change)
+ * @param {{ stringify: Function, parse: Function }} [opts.serializer] - Defaults to the shared registry
+ * @param {(err: any) => void} [opts.onError] - Storage/parse failures; defaults to console.warn
+ * @returns {{ ready: Promise<void>, flush: () => Promise<void>, clear: () => Promise<void>, stop: () => Promise<void> }}
+ *   `ready` never rejects: load and watch failures go to onError
+ */
+export function persist(store, opts = {}){
+  const {
+    paths,
+    storage = 'local',
+    key = 'eventState',
+    version = 1,
+    migrate,
+    throttleMs = 250,
+    serializer = defaultSerializer,
+    onError = (err) => console.warn(`[persist] ${key}:`, err),
+  } = opts;
+  if (!Array.isArray(paths) || !paths.length) throw new Error('persist: `paths` must list the subtrees to save');
+  const adapter = resolveStorage(storage);
+  const offs = [];
+  let timer = null;
+  let dirty = false;
+  let stopped = false;
+
+  async function load(){
+    const text = await adapter.getItem(key);
+    if (text == null) return;
+    const saved = serializer.parse(text);
+    let state = saved?.state;
+    if (saved?.version !== version){
+      state = migrate ? await migrate(state, saved?.version) : undefined;
+    }
+    if (!state || typeof state !== 'object') return;
+    // One notification pass for the whole rehydration where the store batches
+    const hydrate = () => hydrateMerge(store, '', state, { whitelistPaths: paths });
+    if (typeof store.batch === 'function') store.batch(hydrate);
+    else hydrate();
+  }
+
+  async function save(){
+    clearTimeout(timer);
+    timer = null;
+    if (!dirty) return;
+    dirty = false;
+    try {
+      await adapter.setItem(key, serializer.stringify({ version, state: pick(store, paths) }));
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  function schedule(){
+    if (stopped) return;
+    dirty = true;
+    if (throttleMs <= 0) save();
+    else if (!timer) timer = setTimeout(save, throttleMs);
+  }
+
+  const ready = load()
+    .catch(onError)
+    .then(() => {
+      if (stopped) return;
+      // A store destroyed before loading finished throws here; report it, don't reject `ready`
+      try {
+        for (const path of paths) offs.push(store.subscribe(path, schedule, { deep: true }));
+        // Stores with plugins save what is pending before they are destroyed
+        store.install?.({ name: `persist:${key}`, onDestroy: () => { save(); } });
+      } catch (err) {
+        stopped = true;
+        offs.splice(0).forEach(off => off());
+        onError(err);
+      }
+    });
+
+  return {
+    ready,
+    /** Save pending changes now */
+    flush: save,
+    /** Remove the saved state (the store is left as is) */
+    async clear(){
+      clearTimeout(timer);
+      timer = null;
+      dirty = false;
+      await adapter.removeItem?.(key);
+    },
+    /** Save pending changes and stop watching the store */
+    async stop(){
+      stopped = true;
+      offs.splice(0).forEach(off => off());
+      await save();
+    },
+  };
+}
+
+export default persist;
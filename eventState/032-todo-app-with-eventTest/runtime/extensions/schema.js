@@ -0,0 +1,233 @@
+// schema.js — write-time validation for path prefixes
+// Usage:
+//   import { useSchema, shape, arrayOf } from './schema.js';
+//   useSchema(store, 'domain.todos.items', arrayOf(shape({ id: 'number', text: 'string', done: 'boolean' })));
+//   useSchema(store, 'ui.todos.filter', { enum: ['all', 'active', 'completed'] }, { mode: 'warn' });
+// Notes:
+// - Schemas are a JSON Schema subset: type (string, number, integer, boolean,
+//   object, array, null, or a list of them), enum, const, properties,
+//   required, additionalProperties, items, minimum, maximum, minLength,
+//   maxLength, pattern, minItems, maxItems and anyOf.
+// - shape()/arrayOf() and type-name strings ('number') take the same
+//   vocabulary as eventTest's assertShape/assertArrayOf; fromTypeAssertion()
+//   turns a recorded assertion (getTypeAssertions()) into a schema.
+// - A write below the prefix is checked against the matching sub-schema, a
+//   write above it against the part that lands on the prefix. Paths the
+//   schema says nothing about pass. A missing prefix value is not a violation.
+// - Built only on store.use (and store.get/set for mode 'record').
+
+import { parsePath, formatPath, isPattern, startsWith, readSegments } from '../core/paths.js';
+import { deepEqual } from '../core/equality.js';
+
+const TYPE_NAMES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * Object schema from an eventTest shape: every key is required and typed by
+ * name; nested shapes are objects. Example: shape({ id: 'number', meta: { tag: 'string' } })
+ * @param {Object} objectShape
+ * @returns {Object} JSON schema
+ */
+export function shape(objectShape){
+  const properties = {};
+  for (const [key, type] of Object.entries(objectShape || {})) properties[key] = toSchema(type);
+  return { type: 'object', properties, required: Object.keys(properties) };
+}
+
+/**
+ * Array schema whose items match `element` (a type name, shape() or schema).
+ * @param {string|Object} element
+ * @returns {Object} JSON schema
+ */
+export function arrayOf(element){
+  return { type: 'array', items: toSchema(element) };
+}
+
+/**
+ * Schema for an entry of eventTest's getTypeAssertions().
+ * @param {{ type: string, shape?: Object, elementShape?: Object }} assertion
+ * @returns {Object} JSON schema
+ */
+export function fromTypeAssertion({ type, shape: objectShape, elementShape }){
+  if (type === 'array') return elementShape ? arrayOf(shape(elementShape)) : { type: 'array' };
+  if (type === 'object') return objectShape ? shape(objectShape) : { type: 'object' };
+  return { type };
+}
+
+// Type names become { type }; plain objects are schemas when they use a
+// schema keyword (so a shape key named `type` needs shape() spelled out)
+function toSchema(spec){
+  if (typeof spec === 'string') return { type: spec };
+  return isSchema(spec) ? spec : shape(spec);
+}
+
+const KEYWORDS = ['type', 'enum', 'const', 'properties', 'items', 'anyOf', 'required'];
+
+function isSchema(spec){
+  return KEYWORDS.some(k => Object.prototype.hasOwnProperty.call(spec, k));
+}
+
+function typeOf(value){
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function hasType(value, type){
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {Object} schema
+ * @param {any} value
+ * @param {string} [path=''] - Store path of `value`, used in violations
+ * @returns {Array<{ path: string, keyword: string, message: string }>} empty when valid
+ */
+export function validate(schema, value, path = ''){
+  const out = [];
+  check(schema, value, path ? parsePath(path) : [], out);
+  return out;
+}
+
+function check(schema, value, segs, out){
+  if (!schema || typeof schema !== 'object') return;
+  const at = formatPath(segs);
+  const fail = (keyword, message) => { out.push({ path: at, keyword, message: `${at || '(root)'} ${message}` }); };
+
+  if (schema.type !== undefined){
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => hasType(value, t))){
+      fail('type', `should be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if ('const' in schema && !deepEqual(value, schema.const)) fail('const', `should equal ${JSON.stringify(schema.const)}`);
+  if (Array.isArray(schema.enum) && !schema.enum.some(v => deepEqual(v, value))){
+    fail('enum', `should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(s => validate(s, value).length === 0)){
+    fail('anyOf', 'should match at least one schema in anyOf');
+  }
+
+  if (typeof value === 'number'){
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `should be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string'){
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail('minLength', `should have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('maxLength', `should have at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail('pattern', `should match /${schema.pattern}/`);
+  }
+  if (Array.isArray(value)){
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `should have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `should have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, [...segs, String(i)], out));
+  } else if (typeOf(value) === 'object' && !(value instanceof Map)){
+    for (const key of schema.required || []){
+      if (!Object.prototype.hasOwnProperty.call(value, key)) fail('required', `should have property "${key}"`);
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)){
+      if (Object.prototype.hasOwnProperty.call(props, key)) check(props[key], v, [...segs, key], out);
+      else if (schema.additionalProperties === false) fail('additionalProperties', `should not have property "${key}"`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object'){
+        check(schema.additionalProperties, v, [...segs, key], out);
+      }
+    }
+  }
+}
+
+// Marks a key that additionalProperties: false rules out
+const FORBIDDEN = {};
+
+// Sub-schema for a path relative to the schema root, or undefined when the
+// schema does not describe it
+function schemaAt(schema, rel){
+  let cur = schema;
+  for (const seg of rel){
+    if (!cur || typeof cur !== 'object') return undefined;
+    if (cur.items && /^\d+$/.test(seg)) cur = cur.items;
+    else if (cur.properties && Object.prototype.hasOwnProperty.call(cur.properties, seg)) cur = cur.properties[seg];
+    else if (cur.additionalProperties === false) return FORBIDDEN;
+    else if (cur.additionalProperties && typeof cur.additionalProperties === 'object') cur = cur.additionalProperties;
+    else return undefined;
+  }
+  return cur;
+}
+
+// Violations a write to `segs` would introduce under the schema at `prefix`
+function violationsFor(schema, prefix, write){
+  const segs = parsePath(write.path);
+  if (startsWith(segs, prefix)){
+    const rel = segs.slice(prefix.length);
+    if (write.deleted){
+      if (!rel.length) return [];
+      const parent = schemaAt(schema, rel.slice(0, -1));
+      const key = rel[rel.length - 1];
+      return parent?.required?.includes(key)
+        ? [{ path: write.path, keyword: 'required', message: `${formatPath(segs.slice(0, -1))} should have property "${key}"` }]
+        : [];
+    }
+    const sub = schemaAt(schema, rel);
+    if (sub === FORBIDDEN){
+      return [{ path: write.path, keyword: 'additionalProperties', message: `${formatPath(segs.slice(0, -1))} should not have property "${rel[rel.length - 1]}"` }];
+    }
+    return sub ? validate(sub, write.value, write.path) : [];
+  }
+  if (startsWith(prefix, segs) && !write.deleted){
+    const target = readSegments(write.value, prefix.slice(segs.length));
+    return target.found ? validate(schema, target.value, formatPath(prefix)) : [];
+  }
+  return [];
+}
+
+function schemaError(prefix, write, violations){
+  const err = new Error(`Schema violation writing "${write.path}": ${violations.map(v => v.message).join('; ')}`);
+  err.name = 'SchemaError';
+  err.prefix = prefix;
+  err.path = write.path;
+  err.violations = violations;
+  return err;
+}
+
+/**
+ * Validate every write at, below or above `prefix` before it lands.
+ * Modes: 'reject' throws a SchemaError (`violations`, `path`, `prefix`) so the
+ * write never lands (setMany, applyPatch and transactions discard all their
+ * writes; inside batch() earlier writes still land); 'warn' logs and lets it
+ * through; 'record' lets it through and appends the violations to
+ * `recordPath` (capped at `limit` entries).
+ * @param {{ use: Function, get: Function, set: Function }} store
+ * @param {string} prefix - Concrete path the schema describes
+ * @param {string|Object} schema - JSON schema, shape() or a type name
+ * @param {{ mode?: 'reject'|'warn'|'record', recordPath?: string, limit?: number }} [opts]
+ * @returns {() => void} Function that removes the schema
+ */
+export function useSchema(store, prefix, schema, { mode = 'reject', recordPath, limit = 50 } = {}){
+  if (!prefix || isPattern(prefix)) throw new Error('useSchema: a concrete `prefix` is required');
+  if (!['reject', 'warn', 'record'].includes(mode)) throw new TypeError(`useSchema: unknown mode "${mode}"`);
+  if (mode === 'record' && !recordPath) throw new Error("useSchema: mode 'record' requires `recordPath`");
+  const segs = parsePath(prefix);
+  const compiled = toSchema(schema);
+  if (typeof compiled.type === 'string' && !TYPE_NAMES.includes(compiled.type)){
+    throw new TypeError(`useSchema: unknown type "${compiled.type}"`);
+  }
+
+  return store.use((write) => {
+    // Recording a violation goes through middleware too
+    if (mode === 'record' && write.source === 'schema') return;
+    const violations = violationsFor(compiled, segs, write);
+    if (!violations.length) return;
+    if (mode === 'reject') throw schemaError(prefix, write, violations);
+    if (mode === 'warn'){
+      console.warn(`[schema] ${prefix}:`, violations.map(v => v.message).join('; '));
+      return;
+    }
+    const at = Date.now();
+    const list = store.get(recordPath);
+    const entries = violations.map(v => ({ ...v, prefix, source: write.source, at }));
+    store.set(recordPath, [...(Array.isArray(list) ? list : []), ...entries].slice(-limit), { source: 'schema' });
+  });
+}
@@ -1,6 +1,8 @@
 // forms/computed.js — explicit-deps computed helper for eventState-like stores
 // Requirements for store: get(path), set(path, value), subscribe(path, handler)
 // Features: explicit deps, loop-avoidance, optional debounce, optional memo by dep tuple, optional gatePath, immediate compute
+// For a read-only value that is not written back into state, createEventState stores
+// offer store.derive(path, get => ...) with auto-tracked deps and cycle detection.
 
 import { withBatch } from '../extensions/hydrate.js';
 
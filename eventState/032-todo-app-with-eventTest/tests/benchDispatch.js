@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * benchDispatch.js - Listener dispatch benchmark (legacy Map index vs trie)
+ *
+ * Usage: node tests/benchDispatch.js [subscriptions] [writes]
+ *
+ * The legacy index reproduces the original writeAndNotify lookup: one Map
+ * lookup for the exact path, one string-built `${parent}.*` lookup per
+ * ancestor, then '*'. Mid-path patterns ('a.*.b') have no legacy lookup, so
+ * they are compared against a linear matchPattern scan instead. The trie index
+ * is the one createEventState uses.
+ */
+
+import { createListenerTrie } from '../runtime/core/listenerTrie.js';
+import { createEventState } from '../runtime/core/eventStateNew.js';
+import { isPattern, matchSegments } from '../runtime/core/paths.js';
+
+const SUBS = Number(process.argv[2]) || 5000;
+const WRITES = Number(process.argv[3]) || 200000;
+
+// Deterministic pseudo-random sequence so runs are comparable
+function rng(seed) {
+  let x = seed >>> 0;
+  return () => ((x = (x * 1664525 + 1013904223) >>> 0) / 4294967296);
+}
+
+function createLegacyIndex() {
+  const listeners = new Map();
+  return {
+    add(path, handler) {
+      if (!listeners.has(path)) listeners.set(path, new Set());
+      listeners.get(path).add(handler);
+      return () => listeners.get(path)?.delete(handler);
+    },
+    dispatch(path, detail) {
+      const parts = path.split('.');
+      parts.pop();
+      listeners.get(path)?.forEach(cb => cb(detail.value, detail));
+      let parent = '';
+      for (const p of parts) {
+        parent = parent ? `${parent}.${p}` : p;
+        listeners.get(`${parent}.*`)?.forEach(cb => cb(detail));
+      }
+      listeners.get('*')?.forEach(cb => cb(detail));
+    },
+    get size() { return listeners.size; },
+  };
+}
+
+// Legacy Map for exact paths plus a flat list of compiled patterns
+function createLinearPatternIndex() {
+  const legacy = createLegacyIndex();
+  const patterns = [];
+  return {
+    add(path, handler) {
+      if (path === '*' || !isPattern(path)) return legacy.add(path, handler);
+      const entry = { segs: path.split('.'), handler };
+      patterns.push(entry);
+      return () => patterns.splice(patterns.indexOf(entry), 1);
+    },
+    dispatch(path, detail) {
+      legacy.dispatch(path, detail);
+      const segs = path.split('.');
+      for (const p of patterns) if (matchSegments(p.segs, segs)) p.handler(detail);
+    },
+    get size() { return legacy.size + patterns.length; },
+  };
+}
+
+function createTrieIndex() {
+  const trie = createListenerTrie();
+  const global = new Set();
+  return {
+    add(path, handler) {
+      if (path === '*') { global.add(handler); return () => global.delete(handler); }
+      const segs = path.split('.');
+      if (segs[segs.length - 1] === '*' && !isPattern(segs.slice(0, -1).join('.'))) {
+        return trie.add(segs.slice(0, -1), 'prefix', handler);
+      }
+      if (isPattern(path)) return trie.add(segs, 'pattern', handler);
+      return trie.add(segs, 'exact', handler);
+    },
+    dispatch(path, detail) {
+      const segs = path.split('.');
+      trie.find(segs)?.sets?.exact?.forEach(cb => cb(detail.value, detail));
+      if (trie.counts.prefix) {
+        trie.along(segs, 'prefix', (set, depth) => { if (depth < segs.length) set.forEach(cb => cb(detail)); });
+      }
+      if (trie.counts.pattern) trie.match(segs).forEach(set => set.forEach(cb => cb(detail)));
+      global.forEach(cb => cb(detail));
+    },
+    get size() { return trie.nodeCount; },
+  };
+}
+
+// Synthetic dashboard: widgets with a few fields each
+function paths(n) {
+  const out = [];
+  for (let i = 0; out.length < n; i++) {
+    for (const f of ['value', 'status', 'meta.updatedAt', 'meta.error']) {
+      out.push(`dashboard.widgets.w${i}.${f}`);
+    }
+  }
+  return out.slice(0, n);
+}
+
+function time(label, fn) {
+  const t0 = performance.now();
+  const calls = fn();
+  const ms = performance.now() - t0;
+  return { label, ms, calls };
+}
+
+function workload(name, makeIndex, { wildcardRatio = 0, patternRatio = 0 }) {
+  const index = makeIndex();
+  const subPaths = paths(SUBS);
+  let calls = 0;
+  const handler = () => { calls++; };
+  const random = rng(42);
+  subPaths.forEach((p, i) => {
+    const r = random();
+    if (r < wildcardRatio) index.add(p.replace(/\.[^.]+$/, '.*'), handler);
+    else if (r < wildcardRatio + patternRatio) index.add(p.replace('.widgets.', '.*.'), handler);
+    else index.add(p, handler);
+    if (i % 500 === 0) index.add('*', handler);
+  });
+  const writeRandom = rng(7);
+  return time(name, () => {
+    for (let i = 0; i < WRITES; i++) {
+      const path = subPaths[(writeRandom() * subPaths.length) | 0];
+      index.dispatch(path, { path, value: i, oldValue: i - 1 });
+    }
+    return calls;
+  });
+}
+
+function churn(name, makeIndex) {
+  const index = makeIndex();
+  const subPaths = paths(SUBS);
+  const offs = subPaths.map(p => index.add(p, () => {}));
+  offs.forEach(off => off());
+  return { label: name, retained: index.size };
+}
+
+function storeWrites(label) {
+  const store = createEventState({});
+  const subPaths = paths(SUBS);
+  let calls = 0;
+  subPaths.forEach(p => store.subscribe(p, () => { calls++; }));
+  store.subscribe('dashboard.widgets.*', () => { calls++; });
+  const writeRandom = rng(7);
+  return time(label, () => {
+    for (let i = 0; i < WRITES; i++) store.set(subPaths[(writeRandom() * subPaths.length) | 0], i);
+    return calls;
+  });
+}
+
+function report(rows) {
+  for (const r of rows) {
+    const opsPerSec = Math.round(WRITES / (r.ms / 1000)).toLocaleString();
+    console.log(`  ${r.label.padEnd(34)} ${r.ms.toFixed(1).padStart(8)} ms  ${opsPerSec.padStart(12)} writes/s  (${r.calls} calls)`);
+  }
+}
+
+console.log(`\n⏱  Dispatch benchmark: ${SUBS} subscriptions, ${WRITES} writes\n`);
+
+console.log('Exact subscriptions only');
+report([
+  workload('legacy Map', createLegacyIndex, { wildcardRatio: 0 }),
+  workload('trie', createTrieIndex, { wildcardRatio: 0 }),
+]);
+
+console.log('\n20% trailing wildcard subscriptions');
+report([
+  workload('legacy Map', createLegacyIndex, { wildcardRatio: 0.2 }),
+  workload('trie', createTrieIndex, { wildcardRatio: 0.2 }),
+]);
+
+console.log('\n10% mid-path pattern subscriptions');
+report([
+  workload('linear pattern scan', createLinearPatternIndex, { patternRatio: 0.1 }),
+  workload('trie', createTrieIndex, { patternRatio: 0.1 }),
+]);
+
+console.log('\nEnd-to-end store.set()');
+report([storeWrites('createEventState')]);
+
+console.log('\nEntries retained after every subscriber unsubscribed');
+for (const r of [churn('legacy Map (keys)', createLegacyIndex), churn('trie (nodes)', createTrieIndex)]) {
+  console.log(`  ${r.label.padEnd(34)} ${r.retained}`);
+}
+console.log('');
@@ -0,0 +1,1608 @@
+/**
+ * eventStateNew.test.js - Core store behavior tests
+ *
+ * Covers the createEventState options and APIs directly (no bridges)
+ */
+
+import { createEventState, DELETE } from '../runtime/core/eventStateNew.js';
+import { matchPattern, parsePath, startsWith, readSegments } from '../runtime/core/paths.js';
+import { createListenerTrie } from '../runtime/core/listenerTrie.js';
+import { hydrateMerge, hydrateReplace, hydratePatch } from '../runtime/extensions/hydrate.js';
+import { applyConvergePatch } from '../runtime/extensions/converge.js';
+import { toObservable, toSvelteStore, fromObservable, $$observable } from '../runtime/extensions/observable.js';
+import { applyOps, parsePointer, toPointer } from '../runtime/core/jsonPatch.js';
+import { createSerializer, stringify, parse } from '../runtime/core/serialize.js';
+import { useSchema, validate, shape, arrayOf, fromTypeAssertion } from '../runtime/extensions/schema.js';
+import { createEventStatePlus, upgradeEventState } from '../runtime/extensions/eventState.plus.js';
+import { history } from '../runtime/extensions/history.js';
+import { persist, memoryStorage } from '../runtime/extensions/persist.js';
+import { createEventTest, runTests } from './eventTest.js';
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Test suite
+const tests = {
+  'immutable: get returns frozen objects': () => {
+    const store = createEventState({ user: { name: 'Alice' } }, { immutable: true });
+    const user = store.get('user');
+    assert(Object.isFrozen(user), 'Expected user to be frozen');
+    assert(Object.isFrozen(store.get()), 'Expected root to be frozen');
+
+    store.set('user.tags', ['a']);
+    assert(Object.isFrozen(store.get('user.tags')), 'Expected written value to be frozen');
+  },
+
+  'immutable: set copies the path and shares siblings': () => {
+    const store = createEventState({ a: { b: 1 }, c: { d: 2 } }, { immutable: true });
+    const rootBefore = store.get();
+    const aBefore = store.get('a');
+    const cBefore = store.get('c');
+
+    store.set('a.b', 2);
+
+    assert(store.get() !== rootBefore, 'Expected a new root');
+    assert(store.get('a') !== aBefore, 'Expected a new object along the path');
+    assert(store.get('c') === cBefore, 'Expected untouched subtree to keep its identity');
+    assert(aBefore.b === 1, 'Expected old object to be left unchanged');
+  },
+
+  'immutable: missing parents are created': () => {
+    const store = createEventState({}, { immutable: true });
+    store.set('x.y.z', 1);
+    assert(store.get('x.y.z') === 1, 'Expected x.y.z to be 1');
+    assert(Object.isFrozen(store.get('x.y')), 'Expected created parent to be frozen');
+  },
+
+  'getSnapshot is stable until the next write': () => {
+    const store = createEventState({ count: 0 }, { immutable: true });
+    const s1 = store.getSnapshot();
+    assert(store.getSnapshot() === s1, 'Expected the same snapshot without writes');
+    assert(s1.state === store.get(), 'Expected immutable snapshot to be the root itself');
+
+    store.set('count', 1);
+    const s2 = store.getSnapshot();
+    assert(s2 !== s1, 'Expected a new snapshot after a write');
+    assert(s2.version === s1.version + 1, 'Expected version to increase by one');
+    assert(s1.state.count === 0 && s2.state.count === 1, 'Expected snapshots to keep their values');
+  },
+
+  'mutable snapshot is a detached copy': () => {
+    const store = createEventState({ count: 0 });
+    const snap = store.getSnapshot();
+    store.set('count', 5);
+    assert(snap.state.count === 0, 'Expected snapshot not to follow later writes');
+    assert(!Object.isFrozen(store.get()), 'Expected mutable mode to stay unfrozen');
+  },
+
+  'notifyDescendants: replacing a subtree fires changed descendants only': () => {
+    const store = createEventState(
+      { domain: { todos: { items: [], filter: 'all' } } },
+      { notifyDescendants: true }
+    );
+    const seen = [];
+    store.subscribe('domain.todos.items', (value, detail) => seen.push(['items', value, detail.writePath]));
+    store.subscribe('domain.todos.filter', () => seen.push(['filter']));
+
+    store.set('domain.todos', { items: [1], filter: 'all' });
+
+    assert(seen.length === 1, `Expected 1 notification, got ${seen.length}`);
+    assert(seen[0][0] === 'items' && seen[0][1][0] === 1, 'Expected items to fire with new value');
+    assert(seen[0][2] === 'domain.todos', 'Expected writePath to be the written path');
+  },
+
+  'descendants are not notified by default': () => {
+    const store = createEventState({ domain: { todos: { items: [] } } });
+    let calls = 0;
+    store.subscribe('domain.todos.items', () => calls++);
+    store.set('domain.todos', { items: [1] });
+    assert(calls === 0, 'Expected no descendant notification without the option');
+  },
+
+  'deep subscription fires for descendant writes': () => {
+    const store = createEventState({ domain: { todos: { items: [] } } });
+    const seen = [];
+    store.subscribe('domain', (value, detail) => seen.push([value, detail.path]), { deep: true });
+
+    store.set('domain.todos.items', [1]);
+
+    assert(seen.length === 1, `Expected 1 notification, got ${seen.length}`);
+    assert(seen[0][0] === store.get('domain'), 'Expected current ancestor value');
+    assert(seen[0][1] === 'domain.todos.items', 'Expected detail of the original write');
+  },
+
+  'deep subscription fires for ancestor writes only on change': () => {
+    const shared = { items: [] };
+    const store = createEventState({ domain: { todos: shared, other: 1 } }, { immutable: true });
+    let calls = 0;
+    store.subscribe('domain.todos', () => calls++, { deep: true });
+
+    store.set('domain', { todos: store.get('domain.todos'), other: 2 });
+    assert(calls === 0, 'Expected no call when the subtree is unchanged');
+
+    store.set('domain', { todos: { items: [1] }, other: 2 });
+    assert(calls === 1, `Expected 1 call after a changing write, got ${calls}`);
+  },
+
+  'matchPattern: single and multi-segment wildcards': () => {
+    assert(matchPattern('items.*.done', 'items.3.done'), 'Expected * to match one segment');
+    assert(!matchPattern('items.*.done', 'items.3.x.done'), 'Expected * not to match two segments');
+    assert(matchPattern('ui.**.error', 'ui.error'), 'Expected ** to match zero segments');
+    assert(matchPattern('ui.**.error', 'ui.a.b.error'), 'Expected ** to match many segments');
+    assert(!matchPattern('ui.**.error', 'ui.a.b'), 'Expected ** not to swallow the tail');
+    assert(matchPattern('ui.**', 'ui.a.b'), 'Expected trailing ** to match the rest');
+  },
+
+  'pattern subscriptions: mid-path wildcards': () => {
+    const store = createEventState({});
+    const done = [];
+    const dirty = [];
+    const errors = [];
+    store.subscribe('domain.todos.items.*.done', ({ path }) => done.push(path));
+    store.subscribe('forms.*.meta.dirty', ({ path }) => dirty.push(path));
+    store.subscribe('ui.**.error', ({ path }) => errors.push(path));
+
+    store.set('domain.todos.items.0.done', true);
+    store.set('domain.todos.items.0.text', 'x');
+    store.set('forms.login.meta.dirty', true);
+    store.set('forms.login.meta.touched', true);
+    store.set('ui.error', 'a');
+    store.set('ui.quotes.load.error', 'b');
+
+    assert(done.join() === 'domain.todos.items.0.done', `Unexpected done paths: ${done}`);
+    assert(dirty.join() === 'forms.login.meta.dirty', `Unexpected dirty paths: ${dirty}`);
+    assert(errors.join() === 'ui.error,ui.quotes.load.error', `Unexpected error paths: ${errors}`);
+  },
+
+  'pattern subscriptions: trailing * keeps any-depth meaning': () => {
+    const store = createEventState({});
+    const seen = [];
+    store.subscribe('forms.*.meta.*', ({ path }) => seen.push(path));
+    store.set('forms.a.meta.dirty', true);
+    store.set('forms.a.meta.x.y', 1);
+    store.set('forms.a.meta', {});
+    assert(seen.join() === 'forms.a.meta.dirty,forms.a.meta.x.y', `Unexpected paths: ${seen}`);
+  },
+
+  'pattern subscriptions: unsubscribe stops delivery': () => {
+    const store = createEventState({});
+    let calls = 0;
+    const off = store.subscribe('*.x', () => calls++);
+    store.set('a.x', 1);
+    off();
+    store.set('a.x', 2);
+    assert(calls === 1, `Expected 1 call, got ${calls}`);
+  },
+
+  'listener trie prunes empty nodes on unsubscribe': () => {
+    const trie = createListenerTrie();
+    const offA = trie.add(['a', 'b', 'c'], 'exact', () => {});
+    const offB = trie.add(['a', 'b'], 'exact', () => {});
+    const offP = trie.add(['a', '*', 'c'], 'pattern', () => {});
+    assert(trie.nodeCount === 5, `Expected 5 nodes, got ${trie.nodeCount}`);
+
+    offA();
+    assert(trie.nodeCount === 4, `Expected a.b.c to be pruned, got ${trie.nodeCount}`);
+    offA();
+    offB();
+    offP();
+    assert(trie.nodeCount === 0, `Expected an empty trie, got ${trie.nodeCount}`);
+    assert(trie.counts.exact === 0 && trie.counts.pattern === 0, 'Expected counts back to zero');
+  },
+
+  'listener trie matches each pattern once': () => {
+    const trie = createListenerTrie();
+    const handler = () => {};
+    trie.add(['**', 'x', '**'], 'pattern', handler);
+    trie.add(['a', '*'], 'pattern', handler);
+    const sets = trie.match(['a', 'x', 'x']);
+    assert(sets.length === 1, `Expected 1 matching set, got ${sets.length}`);
+  },
+
+  'trailing wildcard: fires for any depth below, not the path itself': () => {
+    const store = createEventState({ a: { b: { c: 1 } } });
+    const seen = [];
+    const off = store.subscribe('a.b.*', ({ path }) => seen.push(path));
+    store.subscribe('a.*.c.*', ({ path }) => seen.push(`mid:${path}`));
+    store.set('a.b', { c: 2 });
+    store.set('a.b.c', 3);
+    store.set('a.b.d.e', 4);
+    store.set('a.x', 5);
+    off();
+    store.set('a.b.c', 6);
+    assert(JSON.stringify(seen) === JSON.stringify(['a.b.c', 'a.b.d.e']), `Unexpected: ${JSON.stringify(seen)}`);
+
+    const errors = [];
+    const quiet = createEventState({}, { onError: (err, info) => errors.push(info.listenerPath) });
+    quiet.subscribe('x.*', () => { throw new Error('boom'); });
+    quiet.set('x.y', 1);
+    assert(errors[0] === 'x.*', `Expected the subscribed pattern as listenerPath, got ${errors[0]}`);
+  },
+
+  'parsePath: brackets, indexes and quoted keys': () => {
+    const cases = [
+      ['items[3].done', ['items', '3', 'done']],
+      ['config["api.url"]', ['config', 'api.url']],
+      ["a['b.c'][0]", ['a', 'b.c', '0']],
+      ['items[*].done', ['items', '*', 'done']],
+    ];
+    for (const [path, expected] of cases) {
+      const actual = JSON.stringify(parsePath(path));
+      assert(actual === JSON.stringify(expected), `Expected ${path} to parse as ${JSON.stringify(expected)}, got ${actual}`);
+    }
+    let threw = false;
+    try { parsePath('a[0]b'); } catch { threw = true; }
+    assert(threw, 'Expected malformed path to throw');
+  },
+
+  'paths: startsWith and readSegments': () => {
+    assert(startsWith(['a', 'b'], ['a']) && startsWith(['a'], ['a']) && startsWith(['a'], []), 'Expected prefixes to match');
+    assert(!startsWith(['a'], ['a', 'b']) && !startsWith(['ab'], ['a']), 'Expected non-prefixes not to match');
+    const value = { m: new Map([['k', { x: 0 }]]) };
+    assert(readSegments(value, ['m', 'k', 'x']).value === 0, 'Expected a read through a Map');
+    assert(!readSegments(value, ['m', 'toString']).found && !readSegments(value, ['toString']).found, 'Expected inherited keys not to be found');
+  },
+
+  'array paths: numeric segments create arrays': () => {
+    for (const immutable of [false, true]) {
+      const store = createEventState({}, { immutable });
+      store.set('domain.todos.items[0].done', true);
+      store.set('domain.todos.items.1.done', false);
+      const items = store.get('domain.todos.items');
+      assert(Array.isArray(items), `Expected an array (immutable: ${immutable})`);
+      assert(items.length === 2 && store.get('domain.todos.items[1].done') === false, 'Expected two items');
+    }
+  },
+
+  'array paths: bracket and dotted forms share subscriptions': () => {
+    const store = createEventState({ items: [{ done: false }] });
+    const seen = [];
+    store.subscribe('items[0].done', (value, detail) => seen.push(detail.path));
+    store.subscribe('items.*.done', ({ path }) => seen.push(`*${path}`));
+    store.set('items.0.done', true);
+    store.set('items[0].done', false);
+    assert(seen.join() === 'items.0.done,*items.0.done,items.0.done,*items.0.done', `Unexpected: ${seen}`);
+  },
+
+  'quoted keys can contain dots': () => {
+    const store = createEventState({});
+    let seen;
+    store.subscribe('config["api.url"]', (value) => { seen = value; });
+    store.setMany({ 'config["api.url"]': 'https://x' });
+    assert(store.get('config')['api.url'] === 'https://x', 'Expected a single key with a dot');
+    assert(seen === 'https://x', 'Expected the subscriber to fire');
+  },
+
+  'hydrate helpers escape keys with dots': () => {
+    const store = createEventState({});
+    hydrateMerge(store, 'config', { 'api.url': 'https://x', retries: 2 });
+    hydrateReplace(store, { 'feature.flags': { beta: true } });
+    assert(store.get('config["api.url"]') === 'https://x', 'Expected merged dotted key');
+    assert(store.get('["feature.flags"].beta') === true, 'Expected replaced dotted key');
+  },
+
+  'middleware: transform, veto and observe writes': () => {
+    const store = createEventState({ user: { name: 'Alice' } });
+    const log = [];
+    store.use((write) => { log.push([write.path, write.oldValue, write.source]); });
+    store.use((write) => { if (write.path === 'user.name') write.value = String(write.value).trim(); });
+    store.use((write) => { if (write.path.startsWith('secret.')) return false; });
+    let fired = 0;
+    store.subscribe('secret.key', () => fired++);
+
+    store.set('user.name', '  Bob  ');
+    const result = store.set('secret.key', 'x');
+
+    assert(store.get('user.name') === 'Bob', 'Expected transformed value');
+    assert(store.get('secret') === undefined && result === undefined, 'Expected vetoed write not to land');
+    assert(fired === 0, 'Expected no notification for a vetoed write');
+    assert(JSON.stringify(log[0]) === JSON.stringify(['user.name', 'Alice', 'set']), `Unexpected log: ${JSON.stringify(log)}`);
+  },
+
+  'middleware: sources and batching': () => {
+    const store = createEventState({});
+    const sources = [];
+    const off = store.use((write) => {
+      sources.push(`${write.source}:${write.oldValue}`);
+      if (write.value === 'blocked') return false;
+    });
+    store.batch(() => {
+      store.set('a', 1);
+      store.set('a', 2);
+      store.set('b', 'blocked');
+    });
+    store.setMany({ c: 3 });
+    off();
+    store.set('d', 'blocked');
+
+    assert(sources.join() === 'set:undefined,set:1,set:undefined,setMany:undefined', `Unexpected: ${sources}`);
+    assert(store.get('a') === 2 && store.get('b') === undefined, 'Expected vetoed batch write to be dropped');
+    assert(store.get('d') === 'blocked', 'Expected removed middleware to stop running');
+  },
+
+  'transaction: commits all writes as one batch': () => {
+    const store = createEventState({ a: 0, b: 0 });
+    let fired = 0;
+    store.subscribe('*', () => fired++);
+    const out = store.transaction(() => {
+      store.set('a', 1);
+      store.set('b', 2);
+      assert(fired === 0, 'Expected no notifications inside the body');
+      return 'ok';
+    });
+    assert(out === 'ok', 'Expected the body result');
+    assert(fired === 2 && store.get('b') === 2, 'Expected both writes after the body');
+  },
+
+  'transaction: throwing discards every write': () => {
+    const store = createEventState({ a: 0 });
+    let fired = 0;
+    store.subscribe('*', () => fired++);
+    let caught;
+    try {
+      store.transaction((tx) => {
+        store.set('a', 1);
+        store.batch(() => store.set('b', 1));
+        tx.set('c', 1);
+        throw new Error('boom');
+      });
+    } catch (err) { caught = err; }
+    assert(caught?.message === 'boom', 'Expected the error to be rethrown');
+    assert(store.get('a') === 0 && store.get('b') === undefined && store.get('c') === undefined, 'Expected no writes');
+    assert(fired === 0, 'Expected no notifications');
+  },
+
+  'transaction: rollback inside an outer batch keeps outer writes': () => {
+    const store = createEventState({});
+    store.batch(() => {
+      store.set('outer', 1);
+      try {
+        store.transaction(() => { store.set('inner', 1); throw new Error('x'); });
+      } catch {}
+      store.transaction(() => { store.set('kept', 1); });
+    });
+    assert(store.get('outer') === 1 && store.get('kept') === 1, 'Expected outer and committed writes');
+    assert(store.get('inner') === undefined, 'Expected rolled back write to be dropped');
+  },
+
+  'transaction: nested transaction commits into its parent': () => {
+    const store = createEventState({});
+    try {
+      store.transaction(() => {
+        store.transaction(() => { store.set('a', 1); });
+        assert(store.get('a') === undefined, 'Expected nested commit to stay pending');
+        throw new Error('outer fails');
+      });
+    } catch {}
+    assert(store.get('a') === undefined, 'Expected outer rollback to discard nested writes');
+  },
+
+  'transaction: writes after an early commit land, including listener writes': () => {
+    const store = createEventState({});
+    store.subscribe('a', (v) => store.set('b', v * 2));
+    store.transaction((tx) => {
+      tx.set('a', 1);
+      tx.commit();
+      store.set('c', 3);
+    });
+    assert(JSON.stringify(store.get()) === '{"a":1,"b":2,"c":3}', `Unexpected: ${JSON.stringify(store.get())}`);
+  },
+
+  'transaction: tx.get sees pending writes': () => {
+    const store = createEventState({ cart: { items: [] } });
+    store.transaction((tx) => {
+      tx.set('cart', { items: [1], total: 1 });
+      assert(tx.get('cart.total') === 1, 'Expected pending ancestor write to be visible');
+      assert(store.get('cart.total') === undefined, 'Expected store to be unchanged until commit');
+    });
+    assert(store.get('cart.total') === 1, 'Expected commit after the body');
+  },
+
+  'transaction: async body commits on resolve': async () => {
+    const store = createEventState({});
+    const p = store.transaction(async (tx) => {
+      tx.set('status', 'saving');
+      await Promise.resolve();
+      tx.set('savedAt', 1);
+      return 'done';
+    });
+    assert(store.get('status') === undefined, 'Expected nothing committed while pending');
+    assert(await p === 'done', 'Expected the resolved value');
+    assert(store.get('status') === 'saving' && store.get('savedAt') === 1, 'Expected writes after resolve');
+  },
+
+  'transaction: async rejection discards writes': async () => {
+    const store = createEventState({});
+    let caught;
+    await store.transaction(async (tx) => {
+      tx.set('a', 1);
+      await Promise.resolve();
+      throw new Error('network');
+    }).catch(err => { caught = err; });
+    assert(caught?.message === 'network', 'Expected rejection to propagate');
+    assert(store.get('a') === undefined, 'Expected no writes');
+  },
+
+  'transaction: explicit commit in an async body': async () => {
+    const store = createEventState({});
+    await store.transaction(async (tx) => {
+      tx.set('a', 1);
+      tx.commit();
+      assert(store.get('a') === 1, 'Expected commit to apply immediately');
+      let threw = false;
+      try { tx.set('b', 1); } catch { threw = true; }
+      assert(threw, 'Expected writes after commit to throw');
+    });
+  },
+
+  'select: re-runs only for paths it read': () => {
+    const store = createEventState({ todos: [{ done: false }], filter: 'all', other: 0 });
+    let runs = 0;
+    const seen = [];
+    store.select(
+      (get) => { runs++; return get('todos').filter(t => !t.done).length; },
+      (next, prev) => seen.push([next, prev])
+    );
+    store.set('other', 1);
+    assert(runs === 1, `Expected no re-run for unrelated path, got ${runs} runs`);
+
+    store.set('todos', [{ done: false }, { done: false }]);
+    store.set('todos.0.done', true);
+    assert(JSON.stringify(seen) === '[[2,1],[1,2]]', `Unexpected: ${JSON.stringify(seen)}`);
+  },
+
+  'select: handler fires only when the result changes': () => {
+    const store = createEventState({ ids: [] });
+    const counts = [];
+    store.select((get) => get('ids').length, (n) => counts.push(n), { immediate: true });
+    store.set('ids', []);
+    store.set('ids', ['a']);
+    store.set('ids', ['b']);
+    assert(counts.join() === '0,1', `Unexpected: ${counts}`);
+  },
+
+  'select: pluggable equality and dependency re-tracking': () => {
+    const store = createEventState({ useB: false, a: 1, b: 2 });
+    const shallow = [];
+    store.select((get) => ({ v: get(get('useB') ? 'b' : 'a') }), (r) => shallow.push(r.v), { equals: 'shallow' });
+    store.set('a', 1);
+    assert(shallow.length === 0, 'Expected shallow-equal results to be skipped');
+    store.set('useB', true);
+    store.set('a', 5);
+    store.set('b', 3);
+    assert(shallow.join() === '2,3', `Expected re-tracked deps, got ${shallow}`);
+
+    const custom = [];
+    const off = store.select((get) => get('b'), (v) => custom.push(v), { equals: (x, y) => Math.abs(x - y) < 10 });
+    store.set('b', 4);
+    store.set('b', 20);
+    off();
+    store.set('b', 100);
+    assert(custom.join() === '20', `Unexpected custom comparator result: ${custom}`);
+  },
+
+  'select: deep equality compares Dates, Maps, Sets and typed arrays by content': () => {
+    const store = createEventState({ when: new Date(0), tags: new Set(['a']), byId: new Map([['u1', 1]]), bytes: new Uint8Array([1]) });
+    const seen = [];
+    store.select((get) => ({ when: get('when'), tags: get('tags'), byId: get('byId'), bytes: get('bytes') }), (r) => seen.push(r), { equals: 'deep' });
+    store.setMany({ when: new Date(0), tags: new Set(['a']), byId: new Map([['u1', 1]]), bytes: new Uint8Array([1]) });
+    assert(seen.length === 0, 'Expected equal contents to be skipped');
+    for (const [path, value] of [['when', new Date(1)], ['tags', new Set(['b'])], ['byId', new Map([['u1', 2]])], ['bytes', new Uint8Array([2])]]) {
+      store.set(path, value);
+    }
+    assert(seen.length === 4, `Expected each changed content to fire, got ${seen.length}`);
+
+    assert(validate({ const: new Date(5) }, new Date(6)).length === 1, 'Expected a different Date to fail const');
+    let threw = false;
+    try { applyOps({ tags: new Set(['a']) }, [{ op: 'test', path: '/tags', value: new Set(['b']) }]); } catch { threw = true; }
+    assert(threw, 'Expected a patch test against a different Set to fail');
+  },
+
+  'select: re-runs when a derived dependency recomputes later in the same write': () => {
+    const store = createEventState({ flag: false, a: 1 });
+    store.derive('d', (get) => (get('flag') ? get('a') * 10 : 0));
+    const seen = [];
+    store.select((get) => [get('a'), get('d')], (r) => seen.push(r), { equals: 'deep' });
+    store.set('flag', true);
+    store.set('a', 5);
+    assert(store.get('d') === 50, `Expected d to be 50, got ${store.get('d')}`);
+    assert(JSON.stringify(seen[seen.length - 1]) === '[5,50]', `Unexpected: ${JSON.stringify(seen)}`);
+  },
+
+  'derive: virtual path is readable and subscribable': () => {
+    const store = createEventState({
+      domain: { todos: { items: [{ id: 1, done: true }, { id: 2, done: false }] } },
+      ui: { todos: { filter: 'all' } },
+    });
+    store.derive('ui.todos.visible', (get) => {
+      const items = get('domain.todos.items') || [];
+      return get('ui.todos.filter') === 'active' ? items.filter(t => !t.done) : items;
+    });
+    const seen = [];
+    store.subscribe('ui.todos.visible', (visible, detail) => seen.push([visible.length, detail.derived]));
+
+    assert(store.get('ui.todos.visible').length === 2, 'Expected all items');
+    assert(store.get('ui.todos.visible.length') === 2, 'Expected reads below the derived path');
+    store.set('ui.todos.filter', 'active');
+    assert(JSON.stringify(seen) === '[[1,true]]', `Unexpected: ${JSON.stringify(seen)}`);
+    assert(!('visible' in store.get('ui.todos')), 'Expected derived value not to be stored');
+  },
+
+  'derive: lazy recompute on read, eager recompute on change': () => {
+    const store = createEventState({ n: 1 });
+    let lazyRuns = 0;
+    let eagerRuns = 0;
+    store.derive('lazy', (get) => { lazyRuns++; return get('n') * 2; });
+    store.derive('eager', (get) => { eagerRuns++; return get('n') * 3; }, { eager: true });
+    store.set('n', 2);
+    store.set('n', 3);
+    assert(lazyRuns === 1 && eagerRuns === 3, `Expected 1 lazy / 3 eager runs, got ${lazyRuns} / ${eagerRuns}`);
+    assert(store.get('lazy') === 6 && lazyRuns === 2, 'Expected lazy value to be computed on read');
+  },
+
+  'derive: chained derived paths and read-only writes': () => {
+    const store = createEventState({ items: [1, 2, 3] });
+    store.derive('stats.count', (get) => get('items').length);
+    store.derive('stats.label', (get) => `${get('stats.count')} items`);
+    const labels = [];
+    store.subscribe('stats.label', (v) => labels.push(v));
+    store.set('items', [1]);
+    assert(labels.join() === '1 items', `Unexpected: ${labels}`);
+
+    let threw = false;
+    try { store.set('stats.count', 5); } catch (err) { threw = err instanceof TypeError; }
+    assert(threw, 'Expected writes to a derived path to throw');
+  },
+
+  'derive: a derived dependency that updates later in the same write is picked up': () => {
+    const store = createEventState({ x: 1 });
+    store.derive('a', (get) => get('x') + get('b'));
+    store.derive('b', (get) => get('x') * 10);
+    const seen = [];
+    store.subscribe('a', (v) => seen.push(v));
+    store.set('x', 2);
+    assert(store.get('a') === 22, `Expected 22, got ${store.get('a')}`);
+    assert(seen[seen.length - 1] === 22, `Expected subscribers to end on 22, got ${seen}`);
+  },
+
+  'derive: cycles are reported': () => {
+    const store = createEventState({});
+    store.derive('a', (get) => (get('b') || 0) + 1);
+    let err;
+    try { store.derive('b', (get) => get('a') + 1); } catch (e) { err = e; }
+    assert(err?.name === 'DerivedCycleError', `Expected DerivedCycleError, got ${err}`);
+    assert(err.cycle.join(' ') === 'b a b', `Unexpected cycle: ${err.cycle}`);
+    assert(store.get('a') === 1, 'Expected the failed derive to be removed');
+
+    let selfErr;
+    try { store.derive('self', (get) => get('self')); } catch (e) { selfErr = e; }
+    assert(selfErr?.cycle?.join(' ') === 'self self', `Unexpected self cycle: ${selfErr}`);
+  },
+
+  'delete: removes the key and notifies with deleted: true': () => {
+    for (const immutable of [false, true]) {
+      const store = createEventState({ user: { name: 'Alice', email: 'a@x' } }, { immutable });
+      const seen = [];
+      store.subscribe('user.email', (value, detail) => seen.push([value, detail.oldValue, detail.deleted]));
+      store.subscribe('user.*', (detail) => seen.push(['*', detail.deleted]));
+
+      store.delete('user.email');
+      store.delete('user.email');
+      store.delete('missing.path');
+
+      assert(!('email' in store.get('user')), `Expected key to be removed (immutable: ${immutable})`);
+      assert(JSON.stringify(store.get()) === '{"user":{"name":"Alice"}}', 'Expected key gone from JSON');
+      assert(JSON.stringify(seen) === '[[null,"a@x",true],["*",true]]', `Unexpected: ${JSON.stringify(seen)}`);
+    }
+  },
+
+  'delete: array elements are spliced out': () => {
+    const store = createEventState({ items: ['a', 'b', 'c'] });
+    store.delete('items[1]');
+    assert(JSON.stringify(store.get('items')) === '["a","c"]', `Unexpected: ${JSON.stringify(store.get('items'))}`);
+  },
+
+  'delete: works with batching, setMany and transactions': () => {
+    const store = createEventState({ a: 1, b: 2, c: 3 });
+    let fired = 0;
+    store.subscribe('*', () => fired++);
+    store.batch(() => {
+      store.delete('a');
+      assert(store.get('a') === 1, 'Expected delete to wait for the batch');
+    });
+    store.setMany({ b: DELETE, d: 4 });
+    try {
+      store.transaction((tx) => {
+        tx.delete('c');
+        assert(tx.get('c') === undefined, 'Expected tx.get to see the pending delete');
+        throw new Error('abort');
+      });
+    } catch {}
+    assert(JSON.stringify(store.get()) === '{"c":3,"d":4}', `Unexpected: ${JSON.stringify(store.get())}`);
+    assert(fired === 3, `Expected 3 notifications, got ${fired}`);
+  },
+
+  'delete: buffered index deletes replay like unbuffered ones': () => {
+    const plain = createEventState({ arr: [1, 2, 3, 4] });
+    plain.delete('arr.0');
+    plain.delete('arr.0');
+    plain.set('arr.0', 9);
+    const expected = JSON.stringify(plain.get('arr'));
+    assert(expected === '[9,4]', `Unexpected unbatched result: ${expected}`);
+
+    const runs = {
+      batch: (store) => store.batch(() => { store.delete('arr.0'); store.delete('arr.0'); store.set('arr.0', 9); }),
+      setMany: (store) => store.setMany([['arr.0', DELETE], ['arr.0', DELETE], ['arr.0', 9]]),
+      transaction: (store) => store.transaction((tx) => { tx.delete('arr.0'); tx.delete('arr.0'); tx.set('arr.0', 9); }),
+    };
+    for (const [name, run] of Object.entries(runs)) {
+      const store = createEventState({ arr: [1, 2, 3, 4] });
+      run(store);
+      const actual = JSON.stringify(store.get('arr'));
+      assert(actual === expected, `Expected ${name} to give ${expected}, got ${actual}`);
+    }
+  },
+
+  'delete: middleware sees deletions': () => {
+    const store = createEventState({ keep: 1 });
+    store.use((write) => { if (write.deleted && write.path === 'keep') return false; });
+    store.delete('keep');
+    assert(store.get('keep') === 1, 'Expected middleware to veto the delete');
+  },
+
+  'hydrateMerge: deleteMissing removes dropped fields': () => {
+    const store = createEventState({ profile: { name: 'A', bio: 'x', meta: { a: 1, b: 2 } } });
+    hydrateMerge(store, 'profile', { name: 'B', meta: { a: 1 } }, { deleteMissing: true });
+    assert(JSON.stringify(store.get('profile')) === '{"name":"B","meta":{"a":1}}', `Unexpected: ${JSON.stringify(store.get('profile'))}`);
+  },
+
+  'jsonPatch: pointers round-trip escaped segments': () => {
+    const segs = ['a/b', 'm~n', '0'];
+    assert(toPointer(segs) === '/a~1b/m~0n/0', `Unexpected: ${toPointer(segs)}`);
+    assert(JSON.stringify(parsePointer(toPointer(segs))) === JSON.stringify(segs), 'Expected round-trip');
+  },
+
+  'jsonPatch: applyOps leaves the input untouched and keeps untouched identity': () => {
+    const root = { list: [1, 2, 3], other: { x: 1 }, obj: { a: 1 } };
+    const { result } = applyOps(root, [
+      { op: 'add', path: '/list/1', value: 9 },
+      { op: 'remove', path: '/obj/a' },
+      { op: 'copy', from: '/other', path: '/obj/copy' },
+      { op: 'move', from: '/list/0', path: '/list/-' },
+      { op: 'test', path: '/list', value: [9, 2, 3, 1] },
+    ]);
+    assert(JSON.stringify(root.list) === '[1,2,3]', 'Expected input not to change');
+    assert(JSON.stringify(result) === '{"list":[9,2,3,1],"other":{"x":1},"obj":{"copy":{"x":1}}}', `Unexpected: ${JSON.stringify(result)}`);
+    assert(result.other === root.other, 'Expected untouched subtree to keep identity');
+  },
+
+  'onPatch: emits add/replace/remove per write and groups batches': () => {
+    const store = createEventState({ user: { name: 'A' }, items: ['x', 'y'] });
+    const seen = [];
+    store.onPatch(ops => seen.push(ops));
+
+    store.set('user.name', 'B');
+    store.set('user.tags.0', 'new');
+    store.delete('items.0');
+    store.setMany({ 'user.name': 'C', 'user.age': 3 });
+
+    assert(JSON.stringify(seen) === JSON.stringify([
+      [{ op: 'replace', path: '/user/name', value: 'B' }],
+      [{ op: 'add', path: '/user/tags', value: ['new'] }],
+      [{ op: 'remove', path: '/items/0' }],
+      [{ op: 'replace', path: '/user/name', value: 'C' }, { op: 'add', path: '/user/age', value: 3 }],
+    ]), `Unexpected: ${JSON.stringify(seen)}`);
+  },
+
+  'onPatch: streamed ops replay to the same state': () => {
+    const source = createEventState({ todos: { items: [] } });
+    const replica = createEventState({ todos: { items: [] } });
+    source.onPatch(ops => replica.applyPatch(ops));
+
+    source.set('todos.items', [{ id: 1, done: false }]);
+    source.set('todos.items.1', { id: 2, done: false });
+    source.transaction(() => {
+      source.set('todos.items.0.done', true);
+      source.set('todos.filter', 'active');
+    });
+    source.delete('todos.items.0');
+
+    assert(JSON.stringify(replica.get()) === JSON.stringify(source.get()), `Unexpected: ${JSON.stringify(replica.get())}`);
+  },
+
+  'onPatch: writes made by listeners follow the write that caused them': () => {
+    for (const batched of [false, true]) {
+      const source = createEventState({});
+      const streams = [];
+      source.onPatch(ops => streams.push(ops));
+      source.subscribe('form', () => source.set('form.dirty', true));
+      if (batched) source.batch(() => source.set('form', { name: 'x' }));
+      else source.set('form', { name: 'x' });
+
+      const ops = streams.flat();
+      assert(ops.map(op => op.path).join() === '/form,/form/dirty', `Unexpected order: ${JSON.stringify(ops)}`);
+      assert(JSON.stringify(ops[0].value) === '{"name":"x"}', 'Expected the op to carry the value as written');
+      const replica = createEventState({});
+      replica.applyPatch(ops);
+      assert(JSON.stringify(replica.get()) === JSON.stringify(source.get()), `Unexpected replay: ${JSON.stringify(replica.get())}`);
+    }
+  },
+
+  'onPatch: ops through Map paths replay with applyPatch': () => {
+    const initial = () => ({ users: new Map([['u1', { name: 'Ann' }]]) });
+    const source = createEventState(initial());
+    const replica = createEventState(initial());
+    const streamed = [];
+    source.onPatch(ops => { streamed.push(...ops); replica.applyPatch(ops); });
+
+    source.set('users.u1.name', 'Bea');
+    source.set('users.u2', { name: 'Cy' });
+    source.delete('users.u1');
+    assert(streamed[0].path === '/users/u1/name', `Unexpected op: ${JSON.stringify(streamed[0])}`);
+    const users = replica.get('users');
+    assert(users instanceof Map, 'Expected the Map to stay a Map');
+    assert(!users.has('u1') && users.get('u2').name === 'Cy', `Unexpected replica: ${JSON.stringify([...users])}`);
+  },
+
+  'applyPatch: all-or-nothing with one notification pass': () => {
+    const store = createEventState({ a: 1, list: ['x'] });
+    const fired = [];
+    store.subscribe('*', ({ path }) => fired.push(path));
+    let listLength;
+    store.subscribe('a', () => { listLength = store.get('list').length; });
+
+    let error;
+    try {
+      store.applyPatch([{ op: 'replace', path: '/a', value: 2 }, { op: 'test', path: '/a', value: 1 }]);
+    } catch (err) {
+      error = err;
+    }
+    assert(error?.name === 'PatchError' && error.index === 1, `Expected PatchError at op 1, got ${error}`);
+    assert(store.get('a') === 1 && fired.length === 0, 'Expected nothing written');
+
+    store.applyPatch([
+      { op: 'add', path: '/list/0', value: 'w' },
+      { op: 'replace', path: '/list/1', value: 'X' },
+      { op: 'replace', path: '/a', value: 2 },
+    ]);
+    assert(JSON.stringify(store.get()) === '{"a":2,"list":["w","X"]}', `Unexpected: ${JSON.stringify(store.get())}`);
+    assert(JSON.stringify(fired) === '["list","a"]', `Unexpected: ${JSON.stringify(fired)}`);
+    assert(listLength === 2, 'Expected writes applied before subscribers');
+
+    store.use((write) => {
+      if (write.path === 'b') throw new Error('no b');
+    });
+    let vetoed;
+    try {
+      store.applyPatch([{ op: 'replace', path: '/a', value: 3 }, { op: 'add', path: '/b', value: 1 }]);
+    } catch (err) {
+      vetoed = err;
+    }
+    assert(vetoed?.message === 'no b', `Expected the middleware error, got ${vetoed}`);
+    assert(store.get('a') === 2 && store.get('b') === undefined, 'Expected a throwing middleware to discard every op');
+  },
+
+  'hydratePatch and applyConvergePatch: apply streamed ops with guards': () => {
+    const store = createEventState({ form: { name: '' }, secret: 1 });
+    const applied = hydratePatch(store, [
+      { op: 'replace', path: '/form/name', value: 'Ann' },
+      { op: 'replace', path: '/secret', value: 2 },
+    ], { whitelistPaths: ['form'] });
+    assert(applied.length === 1 && store.get('form.name') === 'Ann' && store.get('secret') === 1, 'Expected whitelist to filter ops');
+
+    const first = applyConvergePatch(store, { ops: [{ op: 'replace', path: '/form/name', value: 'Bo' }], clock: 5 });
+    const stale = applyConvergePatch(store, { ops: [{ op: 'replace', path: '/form/name', value: 'Cy' }], clock: 4 });
+    assert(first.length === 1 && stale.length === 0, 'Expected stale patch to be dropped');
+    assert(store.get('form.name') === 'Bo' && store.get('clocks.form.name') === 5, `Unexpected: ${JSON.stringify(store.get())}`);
+  },
+
+  'schedule: microtask coalesces writes and lists intermediate changes': async () => {
+    const store = createEventState({ count: 0 });
+    const calls = [];
+    store.subscribe('count', (value, detail) => calls.push([value, detail.changes.map(c => c.value)]), { schedule: 'microtask' });
+    store.subscribe('*', (detail) => calls.push(['*', detail.path, detail.changes.length]), { schedule: 'microtask' });
+
+    for (let i = 1; i <= 1000; i++) store.set('count', i);
+    assert(calls.length === 0, 'Expected no synchronous delivery');
+    await Promise.resolve();
+
+    assert(calls.length === 2, `Expected one call per subscription, got ${calls.length}`);
+    assert(calls[0][0] === 1000 && calls[0][1].length === 1000 && calls[0][1][0] === 1, 'Expected final value and all changes');
+    assert(calls[1][1] === 'count' && calls[1][2] === 1000, `Unexpected: ${JSON.stringify(calls[1])}`);
+  },
+
+  'schedule: frame delivery, flush() and unsubscribe before delivery': async () => {
+    const store = createEventState({ a: 0, b: 0 }, { schedule: 'frame' });
+    const seen = [];
+    store.subscribe('a', (value) => seen.push(['a', value]));
+    const offB = store.subscribe('b', (value) => seen.push(['b', value]));
+    store.subscribe('a', (value) => seen.push(['sync', value]), { schedule: 'sync' });
+
+    store.set('a', 1);
+    store.set('b', 1);
+    offB();
+    assert(JSON.stringify(seen) === '[["sync",1]]', `Unexpected: ${JSON.stringify(seen)}`);
+    store.flush();
+    assert(JSON.stringify(seen) === '[["sync",1],["a",1]]', `Unexpected: ${JSON.stringify(seen)}`);
+
+    store.set('a', 2);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert(seen[seen.length - 1][1] === 2, 'Expected frame delivery');
+
+    let error;
+    try { store.subscribe('a', () => {}, { schedule: 'idle' }); } catch (err) { error = err; }
+    assert(error instanceof TypeError, 'Expected unknown schedule to throw');
+  },
+
+  'onError: a throwing listener does not stop the others or escape set()': () => {
+    const errors = [];
+    const store = createEventState({ user: { name: 'A' } }, {
+      onError: (err, info) => errors.push([err.message, info.path, info.listenerPath]),
+    });
+    const ran = [];
+    store.subscribe('user.name', () => { throw new Error('exact'); });
+    store.subscribe('user.name', () => ran.push('exact'));
+    store.subscribe('user.*', () => { throw new Error('wildcard'); });
+    store.subscribe('*', () => ran.push('global'));
+    store.subscribe('user', () => { throw new Error('deep'); }, { deep: true });
+
+    store.set('user.name', 'B');
+
+    assert(JSON.stringify(ran) === '["exact","global"]', `Unexpected: ${JSON.stringify(ran)}`);
+    assert(JSON.stringify(errors) === JSON.stringify([
+      ['exact', 'user.name', 'user.name'],
+      ['deep', 'user.name', 'user'],
+      ['wildcard', 'user.name', 'user.*'],
+    ]), `Unexpected: ${JSON.stringify(errors)}`);
+  },
+
+  'onError: errorPath records entries and rethrowing restores fail-fast': () => {
+    const store = createEventState({}, { errorPath: 'debug.errors', errorLimit: 2, onError: () => {} });
+    store.subscribe('a', () => { throw new TypeError('bad'); });
+    store.subscribe('debug.errors', () => { throw new Error('recorder listener'); });
+    store.set('a', 1);
+    store.set('a', 2);
+    store.set('a', 3);
+    const log = store.get('debug.errors');
+    assert(log.length === 2, `Expected errorLimit to cap entries, got ${log.length}`);
+    assert(log[0].name === 'TypeError' && log[0].message === 'bad' && log[0].listenerPath === 'a', `Unexpected: ${JSON.stringify(log[0])}`);
+
+    const strict = createEventState({}, { onError: (err) => { throw err; } });
+    strict.subscribe('x', () => { throw new Error('fatal'); });
+    let caught;
+    try { strict.set('x', 1); } catch (err) { caught = err; }
+    assert(caught?.message === 'fatal', 'Expected onError to be able to rethrow');
+  },
+
+  'update loops: ping-pong bridges throw an UpdateLoopError with the cycle': () => {
+    const store = createEventState({ ui: { selection: { ids: [], count: 0 } } });
+    store.subscribe('ui.selection.ids', (ids) => store.set('ui.selection.count', ids.length));
+    store.subscribe('ui.selection.count', (n) => store.set('ui.selection.ids', new Array(n + 1).fill(0)));
+
+    let error;
+    try { store.set('ui.selection.ids', [1]); } catch (err) { error = err; }
+    assert(error?.name === 'UpdateLoopError', `Expected UpdateLoopError, got ${error}`);
+    assert(JSON.stringify(error.cycle) === '["ui.selection.ids","ui.selection.count","ui.selection.ids"]', `Unexpected cycle: ${JSON.stringify(error.cycle)}`);
+    assert(error.message.includes('ui.selection.ids -> ui.selection.count'), 'Expected the cycle in the message');
+    assert(store.get('ui.selection.ids').length > 1, 'Expected writes before the limit to have landed');
+  },
+
+  'update loops: bounded re-entry is allowed, depth is capped': () => {
+    const store = createEventState({ n: 0 }, { maxDispatchDepth: 5 });
+    // Clamp: writes back once, then settles
+    store.subscribe('n', (v) => { if (v > 10) store.set('n', 10); });
+    store.set('n', 50);
+    assert(store.get('n') === 10, 'Expected clamp re-entry to be allowed');
+
+    for (let i = 0; i < 10; i++) store.subscribe(`chain.${i}`, (v) => store.set(`chain.${i + 1}`, v));
+    let error;
+    try { store.set('chain.0', 1); } catch (err) { error = err; }
+    assert(error?.name === 'UpdateLoopError' && error.cycle.length === 6, `Unexpected: ${error?.message}`);
+    store.set('n', 3);
+    assert(store.get('n') === 3, 'Expected later writes to work after the error');
+  },
+
+  'once: fires for the next change only': () => {
+    const store = createEventState({ a: 0 });
+    const seen = [];
+    store.once('a', (v) => seen.push(v));
+    store.once('*', ({ path }) => seen.push(path));
+    store.set('a', 1);
+    store.set('a', 2);
+    assert(JSON.stringify(seen) === '[1,"a"]', `Unexpected: ${JSON.stringify(seen)}`);
+  },
+
+  'waitFor: resolves now, on a later change, or rejects on abort/timeout/destroy': async () => {
+    const store = createEventState({ job: { status: 'idle' } });
+    assert(await store.waitFor('job.status') === 'idle', 'Expected current value to resolve immediately');
+
+    const done = store.waitFor('job.status', 'success');
+    store.set('job.status', 'loading');
+    store.set('job', { status: 'success' });
+    assert(await done === 'success', 'Expected resolution from an ancestor write');
+
+    const controller = new AbortController();
+    const aborted = store.waitFor('job.status', 'never', { signal: controller.signal });
+    controller.abort();
+    const timedOut = store.waitFor('job.status', 'never', { timeout: 5 });
+    const destroyed = store.waitFor('job.status', 'never');
+    const results = await Promise.allSettled([aborted, timedOut, (async () => { await new Promise(r => setTimeout(r, 20)); store.destroy(); return destroyed; })()]);
+    assert(results[0].reason?.name === 'AbortError', `Unexpected: ${results[0].reason}`);
+    assert(results[1].reason?.name === 'TimeoutError', `Unexpected: ${results[1].reason}`);
+    assert(/destroyed/.test(results[2].reason?.message), `Unexpected: ${results[2].reason}`);
+  },
+
+  'watch: for await consumes buffered changes and cleans up on break': async () => {
+    const store = createEventState({ n: 0 });
+    const produce = (async () => {
+      for (let i = 1; i <= 5; i++) {
+        await Promise.resolve();
+        store.set('n', i);
+      }
+    })();
+    const seen = [];
+    for await (const n of store.watch('n')) {
+      seen.push(n);
+      if (n === 3) break;
+    }
+    await produce;
+    assert(JSON.stringify(seen) === '[1,2,3]', `Unexpected: ${JSON.stringify(seen)}`);
+
+    const iterator = store.watch('n')[Symbol.asyncIterator]();
+    const pending = iterator.next();
+    store.destroy();
+    assert((await pending).done === true, 'Expected destroy to end the iteration');
+  },
+
+  'observable: toObservable follows the Observable contract': () => {
+    const store = createEventState({ cart: { total: 1 } });
+    const obs = toObservable(store, 'cart.total');
+    assert(obs[$$observable]() === obs, 'Expected Symbol.observable to return itself');
+
+    const seen = [];
+    const sub = obs.subscribe({ next: (v) => seen.push(v) });
+    store.set('cart.total', 2);
+    store.set('cart', { total: 3 });
+    sub.unsubscribe();
+    store.set('cart.total', 4);
+    assert(sub.closed, 'Expected subscription to be closed');
+    assert(JSON.stringify(seen) === '[1,2,3]', `Unexpected: ${JSON.stringify(seen)}`);
+  },
+
+  'observable: Svelte store contract and writing an external source back': () => {
+    const store = createEventState({ ui: { filter: 'all' } });
+    const filter = toSvelteStore(store, 'ui.filter');
+    const seen = [];
+    const off = filter.subscribe((v) => seen.push(v));
+    filter.set('active');
+    filter.update((v) => v.toUpperCase());
+    off();
+    assert(JSON.stringify(seen) === '["all","active","ACTIVE"]', `Unexpected: ${JSON.stringify(seen)}`);
+
+    // Minimal TC39-style source
+    let observer;
+    const source = { [$$observable]: () => ({ subscribe: (o) => { observer = o; return { unsubscribe: () => { observer = null; } }; } }) };
+    const stop = fromObservable(store, 'ui.online', source, { map: Boolean });
+    observer.next(1);
+    assert(store.get('ui.online') === true, 'Expected source value to be written');
+    stop();
+    assert(observer === null, 'Expected stop() to unsubscribe from the source');
+
+    // Store to store through the Svelte contract
+    const mirror = createEventState({});
+    const unmirror = fromObservable(mirror, 'filter', filter);
+    filter.set('done');
+    unmirror();
+    assert(mirror.get('filter') === 'done', `Unexpected: ${mirror.get('filter')}`);
+  },
+
+  'non-JSON values: initial copy keeps Date, Map, Set, typed arrays and undefined': () => {
+    const when = new Date('2024-01-02T03:04:05Z');
+    const initial = { when, tags: new Set(['a']), bytes: new Uint8Array([1, 2]), missing: undefined };
+    const store = createEventState(initial);
+    assert(store.get('when') instanceof Date && store.get('when').getTime() === when.getTime(), 'Expected Date to survive');
+    assert(store.get('when') !== when, 'Expected a copy, not the caller object');
+    assert(store.get('tags') instanceof Set && store.get('tags').has('a'), 'Expected Set to survive');
+    assert(store.get('bytes') instanceof Uint8Array && store.get('bytes')[1] === 2, 'Expected typed array to survive');
+    assert('missing' in store.get(), 'Expected undefined keys to survive');
+    assert(store.getSnapshot().state.when instanceof Date, 'Expected snapshot copy to keep Dates');
+  },
+
+  'non-JSON values: class instances and values next to functions survive the copy': () => {
+    class Foo { constructor() { this.n = 1; } double() { return this.n * 2; } }
+    const when = new Date('2024-01-02T03:04:05Z');
+    const onClick = () => {};
+    const store = createEventState({ foo: new Foo(), row: { when, onClick } });
+    assert(store.get('foo') instanceof Foo && store.get('foo').double() === 2, 'Expected the class prototype to be kept');
+    assert(store.get('row.when') instanceof Date && store.get('row.when').getTime() === when.getTime(), 'Expected the Date next to a function to survive');
+    assert(store.get('row.onClick') === onClick, 'Expected the function to be kept by reference');
+  },
+
+  'non-JSON values: paths traverse Map keys in mutable and immutable mode': () => {
+    for (const immutable of [false, true]) {
+      const byId = new Map([['u1', { name: 'Ann' }]]);
+      const store = createEventState({ users: { byId }, bytes: new Uint8Array([1]) }, { immutable });
+      const seen = [];
+      store.subscribe('users.byId.u1.name', (v) => seen.push(v));
+      store.subscribe('users.byId.*', ({ path }) => seen.push(path));
+
+      assert(store.get('users.byId.u1.name') === 'Ann', 'Expected read through Map');
+      store.set('users.byId.u1.name', 'Bea');
+      store.set('users.byId.u2', { name: 'Cy' });
+      store.delete('users.byId.u2');
+
+      const map = store.get('users.byId');
+      assert(map instanceof Map && map.get('u1').name === 'Bea' && !map.has('u2'), `Unexpected map (immutable: ${immutable})`);
+      assert(JSON.stringify(seen) === '["Bea","users.byId.u1.name","users.byId.u2","users.byId.u2"]', `Unexpected: ${JSON.stringify(seen)}`);
+      if (immutable) assert(map !== byId && Object.isFrozen(map.get('u1')), 'Expected a copied Map with frozen values');
+    }
+  },
+
+  'serializer: round-trips registered types and accepts custom ones': () => {
+    const value = { when: new Date(0), ids: new Set([1]), m: new Map([['k', undefined]]), u: undefined, list: [undefined, 1n] };
+    const back = parse(stringify(value));
+    assert(back.when instanceof Date && back.when.getTime() === 0, 'Expected Date');
+    assert(back.ids instanceof Set && back.ids.has(1), 'Expected Set');
+    assert(back.m instanceof Map && back.m.has('k') && back.m.get('k') === undefined, 'Expected Map with undefined value');
+    assert('u' in back && back.u === undefined && back.list[1] === 1n, `Unexpected: ${stringify(back)}`);
+
+    class Money { constructor(cents) { this.cents = cents; } }
+    const local = createSerializer();
+    local.register({ name: 'Money', test: v => v instanceof Money, serialize: v => v.cents, deserialize: c => new Money(c) });
+    const price = local.parse(local.stringify({ price: new Money(250) })).price;
+    assert(price instanceof Money && price.cents === 250, 'Expected custom type round-trip');
+    assert(!(parse(stringify({ price: new Money(1) })).price instanceof Money), 'Expected registries to be independent');
+  },
+
+  'hydrateMerge: non-plain objects are written whole': () => {
+    const store = createEventState({ doc: { savedAt: new Date(0) } });
+    const savedAt = new Date(1000);
+    hydrateMerge(store, 'doc', { savedAt, tags: new Set(['x']) });
+    assert(store.get('doc.savedAt') === savedAt, 'Expected the Date to be set as a leaf');
+    assert(store.get('doc.tags') instanceof Set, 'Expected the Set to be set as a leaf');
+  },
+
+  'scope: relative get/set/setMany and translated subscriptions': () => {
+    const store = createEventState({ lists: { a: { items: [{ done: false }] }, b: { items: [] } } });
+    const a = store.scope('lists.a');
+    const seen = [];
+    a.subscribe('items.*.done', ({ path, value }) => seen.push(['pattern', path, value]));
+    a.subscribe('*', ({ path }) => seen.push(['any', path]));
+    a.subscribe('items[0].done', (value, detail) => seen.push(['exact', detail.path, value]));
+
+    a.set('items[0].done', true);
+    store.set('lists.b.items', [1]);
+    a.setMany({ filter: 'active' });
+
+    assert(store.get('lists.a.items.0.done') === true && a.get('filter') === 'active', 'Expected relative writes');
+    assert(a.get() === store.get('lists.a'), 'Expected get() to return the scoped subtree');
+    assert(JSON.stringify(seen) === JSON.stringify([
+      ['exact', 'items.0.done', true],
+      ['pattern', 'items.0.done', true],
+      ['any', 'items.0.done'],
+      ['any', 'filter'],
+    ]), `Unexpected: ${JSON.stringify(seen)}`);
+  },
+
+  'scope: dispose removes every subscription, including nested scopes': () => {
+    const store = createEventState({ app: { todos: { filter: 'all' } } });
+    const app = store.scope('app');
+    const todos = app.scope('todos');
+    let calls = 0;
+    app.subscribe('*', () => calls++);
+    todos.subscribe('filter', () => calls++);
+    const off = todos.subscribe('filter', () => calls++);
+    off();
+
+    store.set('app.todos.filter', 'active');
+    assert(calls === 2, `Expected 2 calls before dispose, got ${calls}`);
+    app.dispose();
+    store.set('app.todos.filter', 'done');
+    assert(calls === 2, `Expected no calls after dispose, got ${calls}`);
+    assert(todos.get('filter') === 'done', 'Expected the scope to stay readable');
+  },
+
+  'mount: reads and writes are delegated, child events bubble with prefixed paths': () => {
+    const parent = createEventState({ ui: { route: '/' } });
+    const cart = createEventState({ items: [], total: 0 });
+    const seen = [];
+    parent.subscribe('*', ({ path }) => seen.push(['*', path]));
+    parent.subscribe('cart.*', ({ path }) => seen.push(['cart.*', path]));
+    parent.subscribe('cart.total', (v) => seen.push(['exact', v]));
+
+    parent.mount('cart', cart);
+    assert(parent.get('cart.total') === 0 && parent.get().cart === cart.get(), 'Expected the child state under the mount path');
+
+    cart.set('total', 5);
+    parent.set('cart.items', ['apple']);
+    parent.batch(() => parent.set('cart.total', 7));
+
+    assert(cart.get('items')[0] === 'apple' && cart.get('total') === 7, 'Expected writes to land in the child');
+    assert(JSON.stringify(seen) === JSON.stringify([
+      ['*', 'cart'],
+      ['exact', 5], ['cart.*', 'cart.total'], ['*', 'cart.total'],
+      ['cart.*', 'cart.items'], ['*', 'cart.items'],
+      ['exact', 7], ['cart.*', 'cart.total'], ['*', 'cart.total'],
+    ]), `Unexpected: ${JSON.stringify(seen)}`);
+
+    let threw = false;
+    try { parent.set('cart', {}); } catch (err) { threw = err instanceof TypeError; }
+    assert(threw, 'Expected writing over the mount point to throw');
+  },
+
+  'mount: child derived paths resolve and unmount detaches cleanly': () => {
+    const parent = createEventState({}, { immutable: true });
+    const cart = createEventState({ items: [1, 2] });
+    cart.derive('count', (get) => get('items').length);
+    const off = parent.mount('shop.cart', cart);
+    assert(parent.get('shop.cart.count') === 2, 'Expected child derived path through the parent');
+
+    const before = parent.get();
+    cart.set('items', [1]);
+    assert(parent.get() !== before && parent.get('shop.cart.count') === 1, 'Expected a new parent root per child change');
+
+    const seen = [];
+    parent.subscribe('*', (detail) => seen.push([detail.path, !!detail.deleted]));
+    off();
+    cart.set('items', []);
+    assert(parent.get('shop.cart') === undefined, 'Expected child state to be removed');
+    assert(JSON.stringify(seen) === '[["shop.cart",true]]', `Unexpected: ${JSON.stringify(seen)}`);
+    assert(cart.get('count') === 0, 'Expected the child to keep working');
+    parent.set('shop.cart', 'free again');
+  },
+
+  'mount: destroying the child detaches it and keeps its last state': () => {
+    for (const immutable of [false, true]) {
+      const parent = createEventState({}, { immutable });
+      const cart = createEventState({ total: 3, items: [1] });
+      parent.mount('cart', cart);
+      cart.set('total', 5);
+      cart.destroy();
+      assert(parent.get('cart.total') === 5, `Expected the last child state to stay readable, got ${parent.get('cart.total')}`);
+      parent.set('cart.total', 6);
+      assert(parent.get('cart.total') === 6, 'Expected writes under the old mount to land in the parent');
+      assert(parent.unmount('cart') === false, 'Expected nothing mounted any more');
+    }
+  },
+
+  'schema: shape and arrayOf validate like eventTest assertions': () => {
+    const todos = arrayOf(shape({ id: 'number', text: 'string', done: 'boolean' }));
+    assert(validate(todos, [{ id: 1, text: 'a', done: false }]).length === 0, 'Expected a valid list');
+    const bad = validate(todos, [{ id: '1', text: 'a' }], 'domain.todos.items');
+    assert(JSON.stringify(bad.map(v => [v.path, v.keyword])) === '[["domain.todos.items.0","required"],["domain.todos.items.0.id","type"]]',
+      `Unexpected: ${JSON.stringify(bad)}`);
+
+    const t = createEventTest({ todos: { items: [{ id: 1, text: 'a', done: false }] } });
+    t.assertArrayOf('todos.items', { id: 'number', text: 'string', done: 'boolean' });
+    const schema = fromTypeAssertion(t.getTypeAssertions()[0]);
+    assert(JSON.stringify(schema) === JSON.stringify(todos), 'Expected the recorded assertion to become the same schema');
+    assert(validate({ type: 'integer', minimum: 0 }, 1.5).length === 1, 'Expected integer check');
+    assert(validate({ type: ['string', 'null'], enum: ['a', null] }, null).length === 0, 'Expected type lists and enum');
+  },
+
+  'schema: reject mode blocks writes at, below and above the prefix': () => {
+    const store = createEventState({ domain: { todos: { items: [] } } });
+    useSchema(store, 'domain.todos.items', arrayOf(shape({ id: 'number', text: 'string', done: 'boolean' })));
+    store.set('domain.todos.items', [{ id: 1, text: 'a', done: false }]);
+    store.set('domain.todos.items.0.done', true);
+
+    const rejected = (fn) => {
+      try { fn(); } catch (err) { return err.name === 'SchemaError' ? err : null; }
+      return null;
+    };
+    const below = rejected(() => store.set('domain.todos.items.0.done', 'yes'));
+    assert(below && below.violations[0].path === 'domain.todos.items.0.done', 'Expected a write below the prefix to be rejected');
+    assert(rejected(() => store.delete('domain.todos.items.0.text')), 'Expected deleting a required key to be rejected');
+    assert(rejected(() => store.set('domain', { todos: { items: [{ id: 2 }] } })), 'Expected a write above the prefix to be checked');
+    assert(!rejected(() => store.set('domain.todos.items.0.extra', 1)), 'Expected undescribed keys to pass');
+    assert(!rejected(() => store.set('domain', {})), 'Expected a missing prefix to pass');
+    assert(store.get('domain.todos') === undefined, 'Expected the last write to land');
+
+    store.set('domain.todos', { items: [] });
+    let threw = false;
+    try {
+      store.transaction((tx) => {
+        tx.set('domain.todos.items', [{ id: 1, text: 'a', done: false }]);
+        tx.set('domain.todos.items', [{ id: 'x' }]);
+      });
+    } catch (err) { threw = err.name === 'SchemaError'; }
+    assert(threw && store.get('domain.todos.items').length === 0, 'Expected the transaction to roll back');
+
+    const ui = createEventState({ ui: { f: 1, g: 1 } });
+    useSchema(ui, 'ui.f', { type: 'number', maximum: 10 });
+    assert(rejected(() => ui.setMany({ 'ui.g': 2, 'ui.f': 42 })), 'Expected setMany to be rejected');
+    assert(ui.get('ui.g') === 1 && ui.get('ui.f') === 1, 'Expected a rejected setMany to write nothing');
+  },
+
+  'schema: warn and record modes let writes through': () => {
+    const store = createEventState({ ui: { todos: { filter: 'all' } } });
+    const offRecord = useSchema(store, 'ui.todos', { properties: { filter: { enum: ['all', 'active', 'completed'] } } },
+      { mode: 'record', recordPath: 'ui.debug.schema' });
+    store.set('ui.todos.filter', 'done');
+    assert(store.get('ui.todos.filter') === 'done', 'Expected the write to land');
+    const recorded = store.get('ui.debug.schema');
+    assert(recorded.length === 1 && recorded[0].keyword === 'enum' && recorded[0].prefix === 'ui.todos' && recorded[0].source === 'set',
+      `Unexpected: ${JSON.stringify(recorded)}`);
+    offRecord();
+    store.set('ui.todos.filter', 'other');
+    assert(store.get('ui.debug.schema').length === 1, 'Expected a removed schema to stop recording');
+
+    const warned = [];
+    const orig = console.warn;
+    console.warn = (...args) => warned.push(args.join(' '));
+    try {
+      useSchema(store, 'ui.todos.filter', 'string', { mode: 'warn' });
+      store.set('ui.todos.filter', 3);
+    } finally {
+      console.warn = orig;
+    }
+    assert(store.get('ui.todos.filter') === 3 && warned.length === 1 && warned[0].includes('should be string'), `Unexpected: ${warned}`);
+
+    let threw = false;
+    try { useSchema(store, 'ui.todos', 'string', { mode: 'record' }); } catch { threw = true; }
+    assert(threw, 'Expected record mode to require recordPath');
+  },
+
+  'setAsync: retries with backoff and times out attempts': async () => {
+    const store = createEventState({});
+    let calls = 0;
+    const delays = [];
+    const data = await store.setAsync('user', async () => {
+      calls++;
+      if (calls < 3) throw new Error(`fail ${calls}`);
+      return { name: 'Ann' };
+    }, { retry: 2, retryDelay: (attempt) => { delays.push(attempt); return 1; } });
+    assert(calls === 3 && data.name === 'Ann', `Expected 3 attempts, got ${calls}`);
+    assert(JSON.stringify(delays) === '[1,2]', `Unexpected backoff attempts: ${delays}`);
+    assert(store.get('user.status') === 'success' && store.get('user.error') === null, 'Expected success');
+
+    let signals = [];
+    let failure = null;
+    try {
+      await store.setAsync('slow', (signal) => { signals.push(signal); return new Promise(() => {}); }, { timeout: 5, retry: 1, retryDelay: 1 });
+    } catch (err) { failure = err; }
+    assert(failure?.name === 'TimeoutError' && signals.length === 2, `Expected two timed-out attempts, got ${failure?.name} / ${signals.length}`);
+    assert(signals.every(s => s.aborted), 'Expected each attempt signal to abort');
+    assert(store.get('slow.status') === 'error' && store.get('slow.error').includes('timed out'), 'Expected error status');
+  },
+
+  'setAsync: dedupes identical requests and cancels superseded ones': async () => {
+    const store = createEventState({});
+    let calls = 0;
+    let release;
+    const fetcher = () => { calls++; return new Promise(r => { release = r; }); };
+    const a = store.setAsync('list', fetcher);
+    const b = store.setAsync('list', fetcher);
+    release([1]);
+    const [ra, rb] = await Promise.all([a, b]);
+    assert(calls === 1 && ra === rb, `Expected one shared request, got ${calls}`);
+
+    const statuses = [];
+    store.subscribe('list.status', (s) => statuses.push(s));
+    const first = store.setAsync('list', () => new Promise(() => {}), { key: 'q=a' });
+    const second = store.setAsync('list', async () => [2], { key: 'q=b' });
+    let cancelled = false;
+    try { await first; } catch (err) { cancelled = err.name === 'AbortError'; }
+    await second;
+    assert(cancelled, 'Expected the superseded request to reject with AbortError');
+    assert(JSON.stringify(statuses) === '["loading","loading","success"]', `Unexpected: ${JSON.stringify(statuses)}`);
+    assert(JSON.stringify(store.get('list.data')) === '[2]', 'Expected the latest data');
+  },
+
+  'setAsync: staleTime serves cached data, cacheTime revalidates as refreshing': async () => {
+    const store = createEventState({});
+    let n = 0;
+    const load = async () => ++n;
+    const opts = { key: 'count', staleTime: 20, cacheTime: 1000 };
+    assert(await store.setAsync('count', load, opts) === 1, 'Expected first fetch');
+    assert(await store.setAsync('count', load, opts) === 1 && n === 1, 'Expected a fresh cache hit without fetching');
+
+    await store.waitFor('count.status', 'stale', { timeout: 500 });
+    const statuses = [];
+    store.subscribe('count.status', (s) => statuses.push([s, store.get('count.data')]));
+    assert(await store.setAsync('count', load, opts) === 2, 'Expected a refetch once stale');
+    assert(JSON.stringify(statuses) === '[["refreshing",1],["success",2]]', `Unexpected: ${JSON.stringify(statuses)}`);
+
+    const other = [];
+    store.subscribe('count.status', (s) => other.push(s));
+    await store.setAsync('count', load, { key: 'other' });
+    assert(other[0] === 'loading', 'Expected a different key to skip the cache');
+    store.destroy();
+  },
+
+  'setAsync: a result past both staleTime and cacheTime is evicted': async () => {
+    const store = createEventState({});
+    let n = 0;
+    const load = async () => ++n;
+    const opts = { key: 'count', staleTime: 5, cacheTime: 20 };
+    await store.setAsync('count', load, opts);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    const statuses = [];
+    store.subscribe('count.status', (s) => statuses.push([s, store.get('count.data')]));
+    assert(await store.setAsync('count', load, opts) === 2, 'Expected a refetch');
+    assert(JSON.stringify(statuses) === '[["loading",1],["success",2]]', `Unexpected: ${JSON.stringify(statuses)}`);
+    store.destroy();
+  },
+
+  'resource: starts with the first subscriber and aborts after the last leaves': () => {
+    const store = createEventState({ ui: { quotes: {} } });
+    const log = [];
+    let ctx = null;
+    const remove = store.resource('ui.quotes', (c) => {
+      ctx = c;
+      log.push('start');
+      c.signal.addEventListener('abort', () => log.push('abort'));
+      c.set({ data: [1] });
+      return () => log.push('cleanup');
+    });
+    assert(log.length === 0, 'Expected no start without subscribers');
+
+    const seen = [];
+    const offA = store.subscribe('ui.quotes.data', (v) => seen.push(v), { deep: true });
+    const offB = store.subscribe('ui.quotes', () => {}, { deep: true });
+    assert(JSON.stringify(log) === '["start"]' && JSON.stringify(seen) === '[[1]]', `Unexpected: ${JSON.stringify([log, seen])}`);
+    const offWild = store.subscribe('ui.*', () => {});
+    offA();
+    assert(log.length === 1, 'Expected one remaining subscriber to keep it running');
+    offB();
+    assert(JSON.stringify(log) === '["start","abort","cleanup"]', `Patterns should not keep it live: ${JSON.stringify(log)}`);
+    ctx.set({ data: [2] });
+    assert(JSON.stringify(store.get('ui.quotes.data')) === '[1]', 'Expected writes after abort to be dropped');
+    offWild();
+
+    const offC = store.subscribe('ui.quotes.data', () => {});
+    assert(log.filter(x => x === 'start').length === 2, 'Expected a restart for a new subscriber');
+    remove();
+    assert(log[log.length - 1] === 'cleanup', 'Expected remove() to stop it');
+    offC();
+  },
+
+  'resource: linger keeps it running across a quick resubscribe; counts existing subscribers': async () => {
+    const store = createEventState({});
+    const off = store.subscribe('feed', () => {});
+    let starts = 0;
+    let aborted = 0;
+    store.resource('feed', ({ signal }) => {
+      starts++;
+      signal.addEventListener('abort', () => aborted++);
+    }, { linger: 20 });
+    assert(starts === 1, 'Expected an existing subscriber to start it');
+    off();
+    const off2 = store.subscribe('feed', () => {});
+    await new Promise(r => setTimeout(r, 30));
+    assert(starts === 1 && aborted === 0, `Expected lingering resource to be reused (${starts}/${aborted})`);
+    off2();
+    assert(aborted === 0, 'Expected the abort to wait for linger');
+    await new Promise(r => setTimeout(r, 30));
+    assert(aborted === 1, 'Expected the abort after linger');
+
+    const errors = [];
+    const s2 = createEventState({}, { onError: (err, info) => errors.push([err.message, info.listenerPath]) });
+    s2.resource('x', async () => { throw new Error('boom'); });
+    s2.subscribe('x', () => {});
+    await Promise.resolve();
+    assert(JSON.stringify(errors) === '[["boom","resource(x)"]]', `Unexpected: ${JSON.stringify(errors)}`);
+    s2.destroy();
+  },
+
+  'plugins: lifecycle hooks run in order and plugins add methods': () => {
+    const log = [];
+    const audit = {
+      name: 'audit',
+      onInit(store) { log.push(['init', typeof store.writes]); },
+      beforeSet(write) {
+        if (write.path === 'secret') return false;
+        if (write.path === 'name') write.value = write.value.trim();
+      },
+      afterSet(detail) { log.push(['after', detail.path, detail.value]); },
+      onSubscribe({ path }) {
+        log.push(['sub', path]);
+        return () => log.push(['unsub', path]);
+      },
+      onBatchStart() { log.push(['batchStart']); },
+      onBatchEnd() { log.push(['batchEnd']); },
+      onDestroy(store) { log.push(['destroy', store.get('name')]); },
+    };
+    const counter = () => {
+      let writes = 0;
+      return { name: 'counter', afterSet() { writes++; }, methods: { writes: () => writes, get writeCount() { return writes; } } };
+    };
+    const store = createEventState({}, { plugins: [counter(), audit] });
+    store.set('name', '  Ann ');
+    store.set('secret', 1);
+    const off = store.subscribe('name', () => log.push(['listener']));
+    store.batch(() => {
+      store.set('a', 1);
+      store.batch(() => store.set('b', 2));
+    });
+    off();
+    off();
+    store.destroy();
+    assert(store.writes() === 3 && store.writeCount === 3, `Expected three committed writes, got ${store.writes()}`);
+    assert(JSON.stringify(log) === JSON.stringify([
+      ['init', 'function'], ['after', 'name', 'Ann'], ['sub', 'name'],
+      ['batchStart'], ['after', 'a', 1], ['after', 'b', 2], ['batchEnd'],
+      ['unsub', 'name'], ['destroy', 'Ann'],
+    ]), `Unexpected: ${JSON.stringify(log)}`);
+  },
+
+  'plugins: method clashes throw, hook errors are isolated': () => {
+    let threw = false;
+    try { createEventState({}, { plugins: [{ name: 'bad', methods: { set() {} } }] }); } catch (err) { threw = err.message.includes('"set"'); }
+    assert(threw, 'Expected a clash with a store method to throw');
+
+    const errors = [];
+    const store = createEventState({}, {
+      onError: (err, info) => errors.push(info.listenerPath),
+      plugins: [{ name: 'flaky', afterSet() { throw new Error('boom'); } }],
+    });
+    const seen = [];
+    store.subscribe('x', (v) => seen.push(v));
+    store.set('x', 1);
+    assert(store.get('x') === 1 && seen[0] === 1, 'Expected the write and listeners to be unaffected');
+    assert(JSON.stringify(errors) === '["plugin:flaky.afterSet"]', `Unexpected: ${JSON.stringify(errors)}`);
+  },
+
+  'plus: createEventStatePlus and upgradeEventState install the plugin': () => {
+    const plus = createEventStatePlus({ n: 0 });
+    let calls = 0;
+    const unsub = plus.subscribe('n', () => calls++);
+    plus.setMany({ n: 1 });
+    plus.off(unsub);
+    plus.set('n', 2);
+    assert(calls === 1, `Expected off() to unsubscribe, got ${calls}`);
+    assert(plus.destroyed === false, 'Expected not destroyed');
+    plus.destroy();
+    assert(plus.destroyed === true, 'Expected destroyed');
+
+    const base = createEventState({});
+    assert(upgradeEventState(base) === base && upgradeEventState(base) === base, 'Expected in-place, idempotent upgrade');
+    assert(typeof base.off === 'function', 'Expected off() on the upgraded store');
+  },
+
+  'history: undo/redo tracked paths, batches are one step, depth is capped': () => {
+    const store = createEventState({ doc: { title: 'a', tags: [] }, ui: { tab: 1 } }, {
+      plugins: [history({ paths: ['doc'], statePath: 'ui.history', limit: 3 })],
+    });
+    assert(store.get('ui.history.canUndo') === false && store.get('ui.history.canRedo') === false, 'Expected initial flags');
+    const flags = [];
+    store.subscribe('ui.history.canUndo', (v) => flags.push(v));
+
+    store.set('doc.title', 'b');
+    store.set('ui.tab', 2);
+    store.batch(() => {
+      store.set('doc.title', 'c');
+      store.set('doc.tags', ['x']);
+      store.set('doc.extra', true);
+    });
+    assert(store.get('ui.history.undoCount') === 2, `Expected two steps, got ${store.get('ui.history.undoCount')}`);
+
+    store.undo();
+    assert(store.get('doc.title') === 'b' && store.get('doc.tags').length === 0 && !('extra' in store.get('doc')),
+      `Expected the batch reverted as one step: ${JSON.stringify(store.get('doc'))}`);
+    assert(store.get('ui.tab') === 2, 'Expected untracked paths to stay');
+    store.undo();
+    assert(store.get('doc.title') === 'a' && store.undo() === false, 'Expected the first step reverted and nothing left');
+    assert(store.get('ui.history.canRedo') === true && store.get('ui.history.redoCount') === 2, 'Expected two redo steps');
+    store.redo();
+    store.redo();
+    assert(store.get('doc.title') === 'c' && store.get('doc.extra') === true, 'Expected both steps re-applied');
+
+    store.undo();
+    store.set('doc.title', 'z');
+    assert(store.get('ui.history.canRedo') === false, 'Expected a new write to drop the redo steps');
+    for (const t of ['1', '2', '3', '4']) store.set('doc.title', t);
+    assert(store.get('ui.history.undoCount') === 3, 'Expected the depth cap');
+    assert(JSON.stringify(flags) === '[true,false,true]', `Unexpected canUndo changes: ${JSON.stringify(flags)}`);
+  },
+
+  'history: time-window grouping, writes above a tracked path and clearHistory': async () => {
+    const store = createEventState({ form: { name: '' }, other: 1 }, {
+      plugins: [history({ paths: ['form.name'], groupMs: 40 })],
+    });
+    store.set('form.name', 'A');
+    store.set('form.name', 'An');
+    store.set('form.name', 'Ann');
+    await new Promise(r => setTimeout(r, 60));
+    store.set('form', { name: 'Bob', age: 3 });
+    assert(store.get('ui.history.undoCount') === 2, `Expected typing grouped into one step, got ${store.get('ui.history.undoCount')}`);
+    store.undo();
+    assert(store.get('form.name') === 'Ann' && store.get('form.age') === 3, 'Expected only the tracked part restored');
+    store.undo();
+    assert(store.get('form.name') === '', 'Expected the grouped typing undone at once');
+    store.clearHistory();
+    assert(store.get('ui.history.canRedo') === false && store.redo() === false, 'Expected cleared history');
+  },
+
+  'history: deleting array elements undoes and redoes without shifting siblings': () => {
+    const store = createEventState({ items: ['a', 'b', 'c', 'd'] }, { plugins: [history({ paths: ['items'] })] });
+    store.delete('items.1');
+    assert(store.get('items').join() === 'a,c,d', `Unexpected after delete: ${store.get('items')}`);
+    store.undo();
+    assert(store.get('items').join() === 'a,b,c,d', `Unexpected after undo: ${store.get('items')}`);
+    store.redo();
+    assert(store.get('items').join() === 'a,c,d', `Unexpected after redo: ${store.get('items')}`);
+
+    store.batch(() => {
+      store.set('items.0', 'A');
+      store.delete('items.0');
+      store.delete('items.1');
+    });
+    assert(store.get('items').join() === 'c', `Unexpected after batch: ${store.get('items')}`);
+    store.undo();
+    assert(store.get('items').join() === 'a,c,d', `Unexpected after batch undo: ${store.get('items')}`);
+    store.redo();
+    assert(store.get('items').join() === 'c', `Unexpected after batch redo: ${store.get('items')}`);
+  },
+
+  'persist: saves selected subtrees (throttled) and rehydrates through hydrateMerge': async () => {
+    const storage = memoryStorage();
+    const store = createEventState({ domain: { todos: { items: [] } }, ui: { todos: { filter: 'all' }, tab: 1 } });
+    const saved = persist(store, { paths: ['domain.todos', 'ui.todos.filter'], storage, key: 'app', throttleMs: 20 });
+    await saved.ready;
+    const due = new Date('2024-05-01T00:00:00Z');
+    store.set('domain.todos.items', [{ id: 1, text: 'a', done: false, due }]);
+    store.set('ui.todos.filter', 'active');
+    store.set('ui.tab', 2);
+    assert(!storage.data.has('app'), 'Expected the save to be throttled');
+    await new Promise(r => setTimeout(r, 40));
+    assert(parse(storage.data.get('app')).state.ui.tab === undefined, 'Expected unlisted paths to stay out');
+
+    let batches = 0;
+    const next = createEventState({ domain: { todos: { items: [], extra: 'kept' } }, ui: { todos: { filter: 'all' }, tab: 9 } }, {
+      plugins: [{ onBatchEnd() { batches++; } }],
+    });
+    await persist(next, { paths: ['domain.todos', 'ui.todos.filter'], storage, key: 'app' }).ready;
+    const item = next.get('domain.todos.items.0');
+    assert(item.text === 'a' && item.due instanceof Date && item.due.getTime() === due.getTime(), 'Expected items with Dates restored');
+    assert(next.get('ui.todos.filter') === 'active' && next.get('ui.tab') === 9 && next.get('domain.todos.extra') === 'kept',
+      'Expected a merge limited to the persisted paths');
+    assert(batches === 1, `Expected hydration in one batch, got ${batches}`);
+
+    await saved.stop();
+    next.destroy();
+  },
+
+  'persist: migrates older versions and drops unknown ones': async () => {
+    const storage = memoryStorage({
+      v1: stringify({ version: 1, state: { settings: { dark: true } } }),
+      v3: stringify({ version: 3, state: { settings: { theme: 'x' } } }),
+    });
+    const calls = [];
+    const a = createEventState({ settings: { theme: 'light' } });
+    await persist(a, {
+      paths: ['settings'], storage, key: 'v1', version: 2,
+      migrate: (state, from) => {
+        calls.push(from);
+        return from === 1 ? { settings: { theme: state.settings.dark ? 'dark' : 'light' } } : undefined;
+      },
+    }).ready;
+    assert(a.get('settings.theme') === 'dark' && JSON.stringify(calls) === '[1]', 'Expected the v1 state migrated');
+
+    const b = createEventState({ settings: { theme: 'light' } });
+    const p = persist(b, { paths: ['settings'], storage, key: 'v3', version: 2, throttleMs: 0 });
+    await p.ready;
+    assert(b.get('settings.theme') === 'light', 'Expected a version without migrate to be ignored');
+    b.set('settings.theme', 'blue');
+    assert(parse(storage.getItem('v3')).version === 2, 'Expected throttleMs 0 to save on change');
+    await p.clear();
+    assert(storage.getItem('v3') === null, 'Expected clear() to remove the key');
+  },
+
+  'persist: a store destroyed before ready settles reports to onError': async () => {
+    const store = createEventState({ settings: {} });
+    const errors = [];
+    const saved = persist(store, { paths: ['settings'], storage: memoryStorage(), onError: (err) => errors.push(err) });
+    store.destroy();
+    await saved.ready;
+    assert(errors.length === 1 && /destroyed/.test(errors[0].message), `Expected one reported error, got ${errors}`);
+  }
+};
+
+// Run tests if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests(tests);
+}
+
+export default tests;
@@ -142,35 +142,55 @@ function validateShape(actual, shape, path) {
   }
 }
 
-// Simple test runner
+// Simple test runner (a test may return a promise)
 export function test(name, fn) {
-  try {
-    fn();
+  const pass = () => {
     console.log(`✓ ${name}`);
     return true;
-  } catch (error) {
+  };
+  const fail = (error) => {
     console.error(`✗ ${name}`);
     console.error(`  ${error.message}`);
     return false;
+  };
+  try {
+    const out = fn();
+    if (out && typeof out.then === 'function') return out.then(pass, fail);
+    return pass();
+  } catch (error) {
+    return fail(error);
   }
 }
 
-// Run multiple tests
+// Run multiple tests in order. Returns the results directly, or a promise
+// for them once any test turns out to be async.
 export function runTests(tests) {
   console.log('\n🧪 Running tests...\n');
   
   let passed = 0;
   let failed = 0;
-  
-  for (const [name, fn] of Object.entries(tests)) {
-    if (test(name, fn)) {
+  const entries = Object.entries(tests);
+
+  const record = (ok) => {
+    if (ok) {
       passed++;
     } else {
       failed++;
     }
-  }
-  
-  console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
-  
-  return { passed, failed };
+  };
+
+  const runFrom = (i) => {
+    for (; i < entries.length; i++) {
+      const [name, fn] = entries[i];
+      const out = test(name, fn);
+      if (out && typeof out.then === 'function') {
+        return out.then((ok) => { record(ok); return runFrom(i + 1); });
+      }
+      record(out);
+    }
+    console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+    return { passed, failed };
+  };
+
+  return runFrom(0);
 }
@@ -7,14 +7,16 @@
 
 import { runTests } from './eventTest.js';
 import todosTests from './todos.test.js';
+import eventStateTests from './eventStateNew.test.js';
 
 // Combine all test suites
 const allTests = {
-  ...todosTests
+  ...todosTests,
+  ...eventStateTests
 };
 
 // Run tests
-const results = runTests(allTests);
+const results = await runTests(allTests);
 
 // Exit with appropriate code
 process.exit(results.failed > 0 ? 1 : 0);